@@ -0,0 +1,351 @@
+// background.js
+
+importScripts('lib/html.js', 'lib/schema.js', 'lib/site-rules.js', 'lib/page-identity.js', 'lib/review.js', 'lib/storage.js', 'lib/sync.js');
+
+// --- Event Listeners ---
+
+// Listen for messages from the content script, popup and extension pages
+chrome.runtime.onMessage.addListener(handleMessages);
+
+// Listen for keyboard shortcuts
+chrome.commands.onCommand.addListener(handleCommand);
+
+// Context menus persist across worker restarts, so they only need building on install/update
+chrome.runtime.onInstalled.addListener(() => {
+    getSettings().then(settings => buildContextMenus(settings.palette));
+    startSyncTimer();
+});
+chrome.contextMenus.onClicked.addListener(handleContextMenuClick);
+
+// Sync on browser start, on a timer, and whenever Chrome sync brings in another browser's changes
+chrome.runtime.onStartup.addListener(() => {
+    startSyncTimer();
+    scheduleSync(0);
+});
+chrome.alarms.onAlarm.addListener(alarm => {
+    if (alarm.name === SYNC_ALARM) scheduleSync(0);
+});
+chrome.storage.sync.onChanged.addListener(() => scheduleSync());
+
+
+// --- Message Handling ---
+
+/**
+ * Handles storage requests from the content script and extension pages.
+ * @param {object} request - The message object.
+ * @param {object} sender - The sender information.
+ * @param {function} sendResponse - The function to call to send a response.
+ * @returns {boolean} True if a response will be sent asynchronously.
+ */
+function handleMessages(request, sender, sendResponse) {
+    switch (request.action) {
+        case 'getPageHighlights':
+            respondWith(sendResponse, getPageHighlights(request.pageKey).then(highlights => ({ highlights })));
+            return true;
+        case 'savePageHighlights':
+            respondWith(sendResponse, savePageHighlights(request.pageKey, request.highlights, request.deletedIds || [], {
+                url: request.url,
+                title: request.title,
+                fingerprint: request.fingerprint
+            }).then(() => {
+                scheduleSync();
+                return { success: true };
+            }));
+            return true;
+        case 'findRelatedPages':
+            respondWith(sendResponse, findRelatedPages(request.pageKey, request.fingerprint).then(pages => ({ pages })));
+            return true;
+        case 'mergeRelatedPages':
+            respondWith(sendResponse, mergeRelatedPages(request.pageKey, request.sourceKeys, {
+                url: request.url,
+                title: request.title,
+                fingerprint: request.fingerprint
+            }).then(moved => {
+                if (moved > 0) {
+                    scheduleSync();
+                    broadcastToTabs({ action: 'pageHighlightsChanged', pageKeys: [request.pageKey, ...request.sourceKeys] });
+                }
+                return { success: true, moved };
+            }));
+            return true;
+        case 'gradeReview':
+            respondWith(sendResponse, gradeReview(request.pageKey, request.highlightId, request.grade).then(review => {
+                notifyHighlightChanged(request.pageKey);
+                return { success: true, review };
+            }));
+            return true;
+        case 'setReviewExcluded':
+            respondWith(sendResponse, setReviewExcluded(request.pageKey, request.highlightId, request.excluded).then(excluded => {
+                notifyHighlightChanged(request.pageKey);
+                return { success: true, excluded };
+            }));
+            return true;
+        case 'getAllPages':
+            respondWith(sendResponse, getAllPages().then(pages => ({ pages })));
+            return true;
+        case 'migrateLegacyHighlights':
+            respondWith(sendResponse, mergeLegacyHighlights(request.entries, {
+                url: request.url,
+                title: request.title
+            }).then(migrated => {
+                if (migrated > 0) scheduleSync();
+                return { success: true, migrated };
+            }));
+            return true;
+        case 'createBackup':
+            respondWith(sendResponse, createBackupArchive().then(archive => ({ archive })));
+            return true;
+        case 'importBackup':
+            respondWith(sendResponse, importBackupArchive(request.archive).then(report => {
+                if (report.highlightsAdded > 0) scheduleSync();
+                return { success: true, report };
+            }));
+            return true;
+        case 'getSettings':
+            respondWith(sendResponse, getSettings().then(settings => ({ settings })));
+            return true;
+        case 'saveSettings':
+            respondWith(sendResponse, saveSettings(request.settings).then(settings => {
+                broadcastToTabs({ action: 'settingsChanged', settings });
+                buildContextMenus(settings.palette);
+                return { success: true, settings };
+            }));
+            return true;
+        case 'resetSettings':
+            respondWith(sendResponse, resetSettings(request.keys).then(settings => {
+                broadcastToTabs({ action: 'settingsChanged', settings });
+                buildContextMenus(settings.palette);
+                return { success: true, settings };
+            }));
+            return true;
+        case 'getSyncStatus':
+            respondWith(sendResponse, getSyncStatus().then(sync => ({ sync })));
+            return true;
+        case 'getSyncConfig':
+            respondWith(sendResponse, Promise.all([getSyncConfig(), getSyncStatus()]).then(([config, sync]) => ({ config, sync })));
+            return true;
+        case 'saveSyncConfig':
+            respondWith(sendResponse, saveSyncConfig(request.config).then(async config => {
+                if (config.backend !== 'off') await syncAndNotify().catch(() => {}); // The status reports any failure
+                return { success: true, config, sync: await getSyncStatus() };
+            }));
+            return true;
+        case 'syncNow':
+            respondWith(sendResponse, syncAndNotify().catch(() => {}).then(async () => ({ sync: await getSyncStatus() })));
+            return true;
+        case 'openHighlight':
+            respondWith(sendResponse, openHighlight(request.url, request.highlightId).then(() => ({ success: true })));
+            return true;
+        case 'consumePendingHighlight':
+            respondWith(sendResponse, consumePendingHighlight(sender.tab.id).then(highlightId => ({ highlightId })));
+            return true;
+        case 'relayToTab':
+            respondWith(sendResponse, relayToTab(sender.tab.id, request.message, request.frameId));
+            return true;
+    }
+    return false; // Not ours; let other listeners respond
+}
+
+/**
+ * Sends the result of a promise as a message response, or an error object if it rejects.
+ * @param {function} sendResponse - The message response callback.
+ * @param {Promise<object>} promise - The pending result.
+ */
+function respondWith(sendResponse, promise) {
+    promise
+        .then(sendResponse)
+        .catch(error => {
+            console.error("Article Highlighter: Background request failed.", error);
+            sendResponse({ error: error.message });
+        });
+}
+
+/**
+ * Sends a message to the content script in every open tab.
+ * Tabs without our content script (e.g. chrome:// pages) are skipped.
+ * @param {object} message - The message to send.
+ */
+async function broadcastToTabs(message) {
+    const tabs = await chrome.tabs.query({});
+    tabs.forEach(tab => {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+    });
+}
+
+/**
+ * Syncs a change made outside of the page it belongs to, and has open tabs of that page reload it.
+ * @param {string} pageKey - The page whose highlights changed.
+ */
+function notifyHighlightChanged(pageKey) {
+    scheduleSync();
+    broadcastToTabs({ action: 'pageHighlightsChanged', pageKeys: [pageKey] });
+}
+
+/**
+ * Passes a message from one frame of a tab to another, or to all of them.
+ * Content scripts can't message each other directly.
+ * @param {number} tabId - The tab ID.
+ * @param {object} message - The message to pass on.
+ * @param {number} [frameId] - The frame to send it to; every frame if omitted.
+ * @returns {Promise<object>} The receiving frame's response, or an empty object if none answered.
+ */
+async function relayToTab(tabId, message, frameId) {
+    try {
+        const response = await chrome.tabs.sendMessage(tabId, message, frameId === undefined ? {} : { frameId });
+        return response || {};
+    } catch (e) {
+        return {}; // The frame hasn't loaded our content script yet, or none of them replied
+    }
+}
+
+
+// --- Sync ---
+
+const SYNC_ALARM = 'sync';
+const SYNC_INTERVAL_MINUTES = 15;
+// Wait this long after a change before syncing, in ms, so a burst of edits syncs once
+const SYNC_DELAY = 5000;
+
+let syncTimer = null;
+
+/**
+ * Starts the periodic sync. Chrome may clear alarms when it restarts, so this runs on startup too.
+ */
+function startSyncTimer() {
+    chrome.alarms.create(SYNC_ALARM, { periodInMinutes: SYNC_INTERVAL_MINUTES });
+}
+
+/**
+ * Syncs shortly, unless another change comes in first.
+ * @param {number} [delay] - How long to wait, in ms.
+ */
+function scheduleSync(delay = SYNC_DELAY) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        syncAndNotify().catch(error => console.warn("Article Highlighter: Sync failed.", error));
+    }, delay);
+}
+
+/**
+ * Syncs, then tells open tabs which pages' highlights changed so they can reload them.
+ * @returns {Promise<void>}
+ */
+async function syncAndNotify() {
+    const changedKeys = await syncNow();
+    if (changedKeys.length > 0) broadcastToTabs({ action: 'pageHighlightsChanged', pageKeys: changedKeys });
+}
+
+
+// --- Keyboard Commands ---
+
+// Maps manifest command names to the content script actions they trigger
+const COMMAND_ACTIONS = {
+    'highlight-selection': 'highlightSelection',
+    'highlight-selection-with-note': 'highlightSelectionWithNote',
+    'next-highlight': 'goToNextHighlight',
+    'previous-highlight': 'goToPreviousHighlight',
+    'toggle-sidebar': 'toggleSidebar'
+};
+
+/**
+ * Forwards a keyboard shortcut to the content script in the active tab. Every frame
+ * gets it, and the one with focus acts on it.
+ * @param {string} command - The manifest command name.
+ * @param {chrome.tabs.Tab} [tab] - The active tab.
+ */
+function handleCommand(command, tab) {
+    const action = COMMAND_ACTIONS[command];
+    if (!action || !tab || !tab.id) return;
+    // The sidebar belongs to the top frame, whichever frame has focus
+    const sent = action === 'toggleSidebar'
+        ? chrome.tabs.sendMessage(tab.id, { action }, { frameId: 0 })
+        : chrome.tabs.sendMessage(tab.id, { action, focusedFrameOnly: true });
+    sent.catch(() => {
+        // No content script on this page (e.g. chrome:// or the Web Store)
+    });
+}
+
+
+// --- Context Menus ---
+
+/**
+ * (Re)creates the right-click menu entries, with one "Highlight in color" item per palette color.
+ * @param {Array<object>} palette - The user's palette.
+ */
+function buildContextMenus(palette) {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: 'highlight-selection', title: 'Highlight selection', contexts: ['selection'] });
+        chrome.contextMenus.create({ id: 'highlight-selection-with-note', title: 'Highlight with note…', contexts: ['selection'] });
+        chrome.contextMenus.create({ id: 'highlight-in-color', title: 'Highlight in color', contexts: ['selection'] });
+        palette.forEach(entry => {
+            chrome.contextMenus.create({
+                id: `highlight-color:${entry.id}`,
+                parentId: 'highlight-in-color',
+                title: entry.label,
+                contexts: ['selection']
+            });
+        });
+        // Always listed: Chrome builds the menu before a page event could toggle it. The
+        // content script removes the highlight that was right-clicked, if there was one.
+        chrome.contextMenus.create({ id: 'remove-highlight', title: 'Remove highlight', contexts: ['all'] });
+    });
+}
+
+/**
+ * Forwards a context menu choice to the content script in the frame it was made in.
+ * @param {chrome.contextMenus.OnClickData} info - Details of the clicked item.
+ * @param {chrome.tabs.Tab} [tab] - The tab the menu was shown in.
+ */
+function handleContextMenuClick(info, tab) {
+    if (!tab || !tab.id) return;
+
+    let message;
+    if (info.menuItemId === 'highlight-selection') {
+        message = { action: 'highlightSelection' };
+    } else if (info.menuItemId === 'highlight-selection-with-note') {
+        message = { action: 'highlightSelectionWithNote' };
+    } else if (info.menuItemId.startsWith('highlight-color:')) {
+        message = { action: 'highlightSelection', color: info.menuItemId.slice('highlight-color:'.length) };
+    } else if (info.menuItemId === 'remove-highlight') {
+        message = { action: 'removeContextMenuHighlight' };
+    } else {
+        return;
+    }
+    chrome.tabs.sendMessage(tab.id, message, { frameId: info.frameId || 0 }).catch(() => {
+        // No content script on this page
+    });
+}
+
+
+// --- Library Navigation ---
+
+/**
+ * Opens a page in a new tab and asks it to scroll to a highlight once it has loaded.
+ * The request is parked in session storage, keyed by tab, so it survives the worker
+ * being suspended while the page loads. The tab starts blank and only navigates once
+ * the request is stored, so even a cached page finds it.
+ * @param {string} url - The page URL.
+ * @param {string} highlightId - The highlight to scroll to.
+ * @returns {Promise<void>}
+ */
+async function openHighlight(url, highlightId) {
+    // Imported or synced records could carry any URL
+    if (!isSafeUrl(url)) throw new Error("This page's address can't be opened.");
+    const tab = await chrome.tabs.create({ url: 'about:blank' });
+    await chrome.storage.session.set({ [`pending-highlight-${tab.id}`]: highlightId });
+    await chrome.tabs.update(tab.id, { url });
+}
+
+/**
+ * Returns and clears the highlight a tab was opened to show, if any.
+ * Called by the content script once it has applied the page's highlights.
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<string|null>} The highlight ID, or null.
+ */
+async function consumePendingHighlight(tabId) {
+    const key = `pending-highlight-${tabId}`;
+    const items = await chrome.storage.session.get(key);
+    if (!items[key]) return null;
+    await chrome.storage.session.remove(key);
+    return items[key];
+}
@@ -3,24 +3,91 @@
 // --- Globals & Initial Setup ---
 
 let highlights = [];
-const pageKey = `highlights-${getCanonicalUrl()}`;
+let deletedHighlightIds = new Set(); // Deleted here since the last save; storage only deletes what it's told to
+let orphanedHighlightIds = new Set(); // Saved highlights that couldn't be anchored on this page
+let palette = []; // The user's highlight colors; the first is the default
+let previewExports = false; // Whether "Export Page" shows the reader view before printing
+let urlRules = {}; // How page URLs are normalized into keys (see lib/page-identity.js)
+let lastVisitedHighlightId = null; // Where next/previous highlight navigation continues from
+let isMouseDown = false;
+let contextMenuHighlightId = null; // The highlight last right-clicked, for "Remove highlight"
+let selectionCheckTimer = null;
+let pageKey = `highlights-${getCanonicalUrl()}`; // Recomputed when a single-page app changes route
+let pageObserver = null;
+let pageChangeTimer = null;
+let reanchorAttempts = 0; // Consecutive re-anchoring passes that placed nothing new
+let selectionRoot = document; // The document or shadow root the user last interacted with
+let frameOrphans = new Map(); // Top frame only: orphaned highlight IDs reported by each subframe
+let marginNotesTimer = null;
+let undoStack = []; // Changes to this frame's highlights, oldest first
+let redoStack = []; // Undone changes, most recently undone last
+let toastTimer = null;
+let toastAction = null; // Called when the toast's button is clicked
+let siteMode = null; // This site's mode from the site rules, once the settings have loaded
+let isActive = false; // Whether our UI, styles and listeners are on the page (see `activate`)
+let activationCallbacks = null; // Waiting for the highlights `activate` is loading
+let pageListeners = []; // The page events we listen to while active
+let linkedPassage = null; // A share link's passage that hasn't turned up on the page yet, and the tries so far
+let markStyleSheet = null; // Built when the first mark is placed (see `adoptMarkStyles`)
+
+// The script runs in every frame. Subframes store their highlights under the top
+// frame's page key, tagged with the frame they belong to.
+const isTopFrame = window === window.top;
+const frameInfo = isTopFrame ? null : getFrameInfo();
+const frameKey = frameInfo ? frameInfo.key : '';
+
+// The document plus any shadow roots we've placed marks in
+const markRoots = new Set([document]);
+
+// Used until the palette loads, and if it ever fails to
+const DEFAULT_PALETTE_ENTRY = { id: 'yellow', color: '#fefcbf', label: 'Highlight' };
+
+// How long the page must stop changing before we look for routes and late content
+const PAGE_SETTLE_DELAY = 400;
+// Passes in a row without placing an orphaned highlight before we stop searching for it
+const MAX_REANCHOR_ATTEMPTS = 30;
+// Previous versions of a note kept for review and restoring, newest first
+const MAX_NOTE_HISTORY = 20;
+// How long a highlight flashes after jumping to it, in ms (matches the animation in the mark styles)
+const FLASH_DURATION = 1200;
+// How long a passage opened from a share link stays marked, in ms
+const LINKED_PASSAGE_DURATION = 4000;
+// Size of the margin note indicators, and their distance from the text, in px
+const MARGIN_NOTE_SIZE = 18;
+const MARGIN_NOTE_GAP = 8;
+const MAX_UNDO_OPERATIONS = 50;
+// How long the undo toast stays up, in ms
+const TOAST_DURATION = 6000;
+// How each kind of change is described in the toast
+const OPERATION_LABELS = {
+    create: 'highlight added',
+    delete: 'highlight deleted',
+    recolor: 'color changed',
+    edit: 'note edited',
+    reattach: 'highlight re-attached'
+};
 
 // --- DOM Elements ---
-const highlighterEl = createHighlighterElement();
-const noteModalEl = createNoteModalElement();
+// Created by `activate` once the site rules allow us on this page
+let uiRoot = null;
+let highlighterEl = null;
+let noteModalEl = null;
+let marginNotesEl = null;
+let toastEl = null;
+let announcerEl = null; // Reads changes out to screen readers
+let sidebarEl = null; // Top frame only
+let modalReturnFocus = null; // Where focus goes back to when the note modal closes
+let sidebarReturnFocus = null;
 
 // --- Initialization ---
 
-// Inject custom styles for our UI
-injectStyles();
+// The settings come first: the site rules decide whether we add anything to this page at all
+loadSettings();
 
-// Load existing highlights from localStorage when the page loads
-loadHighlights();
-
-// --- Event Listeners ---
-
-// Listen for mouse up events to detect text selection
-document.body.addEventListener('mouseup', handleTextSelection);
+// A share link only shows a passage and changes nothing, so it works wherever the
+// highlighter is off too, including a tab that already shows the page
+showLinkedPassage();
+window.addEventListener('hashchange', showLinkedPassage);
 
 // Listen for messages from the popup
 chrome.runtime.onMessage.addListener(handleMessages);
@@ -29,37 +96,277 @@ chrome.runtime.onMessage.addListener(handleMessages);
 // --- Core Functions ---
 
 /**
- * Loads highlights from localStorage and applies them to the page.
+ * Loads the user's settings from the background worker and applies them, which
+ * activates the highlighter if the site rules allow.
  */
-function loadHighlights() {
-    const savedHighlights = localStorage.getItem(pageKey);
-    if (savedHighlights) {
-        highlights = JSON.parse(savedHighlights);
-        reapplyHighlights();
+function loadSettings() {
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            console.error("Article Highlighter: Failed to load settings.", chrome.runtime.lastError || response);
+            activate(); // Without settings there are no site rules to stop us
+            return;
+        }
+        applySettings(response.settings);
+    });
+}
+
+/**
+ * Applies new settings to the page's UI and existing highlights. The site rules
+ * may have changed, so this can also switch the highlighter on or off.
+ * @param {object} settings - The user's settings.
+ */
+function applySettings(settings) {
+    palette = settings.palette;
+    previewExports = Boolean(settings.previewExports);
+    urlRules = { ignoredUrlParams: settings.ignoredUrlParams, mergeUrlVariants: settings.mergeUrlVariants };
+    siteMode = getSiteMode(settings, getSiteHostname());
+
+    if (siteMode === 'disabled') {
+        deactivate();
+    } else if (!isActive) {
+        // "on-click" sites wait for the popup to send `activate`
+        if (siteMode === 'enabled') activate();
+    } else {
+        renderPaletteControls();
+        highlights.forEach(highlight => paintMarks(highlight.id, highlight.color));
+        refreshAnnotations();
+        schedulePageChangeCheck(); // New URL rules can give the page a different key
+    }
+}
+
+/**
+ * Starts highlighting on this page: adds the UI, starts listening for selections
+ * and page changes, and loads the page's highlights. Only called once the site
+ * rules allow it.
+ * @param {function} [callback] - Called once the page's highlights are on the page.
+ */
+function activate(callback) {
+    if (isActive) {
+        if (activationCallbacks && callback) {
+            activationCallbacks.push(callback);
+        } else if (callback) {
+            callback();
+        }
+        return;
     }
+    isActive = true;
+    activationCallbacks = callback ? [callback] : [];
+
+    uiRoot = createUiRoot();
+    highlighterEl = createHighlighterElement();
+    noteModalEl = createNoteModalElement();
+    marginNotesEl = createMarginNotesElement();
+    toastEl = createToastElement();
+    announcerEl = createAnnouncerElement();
+    // The sidebar lists the whole tab's highlights, so only the top frame has one
+    sidebarEl = isTopFrame ? createSidebarElement() : null;
+    renderPaletteControls();
+
+    pageListeners = getPageListeners();
+    pageListeners.forEach(([target, type, listener, capture]) => target.addEventListener(type, listener, capture));
+
+    // Follow client-side navigation and content that loads after the page does
+    watchForPageChanges();
+
+    pageKey = `highlights-${getCanonicalUrl()}`; // Now with the user's URL rules
+    // Move any highlights an older version left in the page's localStorage, agree on
+    // a page key with the top frame, then load and apply this page's highlights
+    migrateLegacyHighlights(() => resolvePageKey(() => loadHighlights(() => {
+        if (isTopFrame) scrollToPendingHighlight();
+        const callbacks = activationCallbacks || [];
+        activationCallbacks = null;
+        callbacks.forEach(waiting => waiting());
+    })));
+}
+
+/**
+ * Removes everything `activate` added to the page, e.g. after the user turns the
+ * highlighter off for this site. Stored highlights are kept.
+ */
+function deactivate() {
+    if (!isActive) return;
+    isActive = false;
+    activationCallbacks = null;
+
+    pageListeners.forEach(([target, type, listener, capture]) => target.removeEventListener(type, listener, capture));
+    pageListeners = [];
+    if (pageObserver) pageObserver.disconnect();
+    pageObserver = null;
+    clearTimeout(pageChangeTimer);
+    clearTimeout(selectionCheckTimer);
+    clearTimeout(marginNotesTimer);
+    clearTimeout(toastTimer);
+
+    clearUndoHistory();
+    linkedPassage = null;
+    queryMarks('mark.article-highlighter-passage').forEach(unwrapElement);
+    highlights.forEach(highlight => unwrapMarks(highlight.id));
+    highlights = [];
+    orphanedHighlightIds = new Set();
+    removeMarkStyles();
+
+    uiRoot.host.remove();
+    uiRoot = highlighterEl = noteModalEl = marginNotesEl = toastEl = announcerEl = sidebarEl = null;
+    modalReturnFocus = sidebarReturnFocus = null;
+}
+
+/**
+ * Lists the page events we listen to while active, so they can be removed again.
+ * @returns {Array<Array>} Entries of [target, event type, listener, capture].
+ */
+function getPageListeners() {
+    return [
+        // Listen for mouse up events to detect text selection
+        [document.body || document.documentElement, 'mouseup', handleTextSelection],
+        // Keyboard selections (shift+arrows, select-all) don't fire mouseup, so watch those too
+        [document, 'keyup', handleTextSelection],
+        [document, 'selectionchange', scheduleSelectionCheck],
+        [document, 'mousedown', () => { isMouseDown = true; }, true],
+        [document, 'mouseup', () => { isMouseDown = false; }, true],
+        // Tell the background worker whether a right-click landed on a highlight
+        [document, 'contextmenu', handleContextMenu, true],
+        // Undo and redo highlight changes with the usual shortcuts
+        [document, 'keydown', handleUndoShortcut],
+        // Tab moves from a selection into the floating button
+        [document, 'keydown', handleHighlighterShortcut],
+        // Margin notes sit beside the text, so they move when it reflows
+        [window, 'resize', scheduleMarginNotesUpdate],
+        // Client-side navigation
+        [window, 'popstate', schedulePageChangeCheck],
+        [window, 'hashchange', schedulePageChangeCheck]
+    ];
+}
+
+/**
+ * Fills the floating button and the note modal with the palette's colors.
+ */
+function renderPaletteControls() {
+    renderPaletteButtons(highlighterEl.querySelector('.palette'), colorId => createHighlight(colorId));
+    renderPaletteButtons(noteModalEl.querySelector('.color-options'), colorId => {
+        recolorHighlight(noteModalEl.dataset.currentHighlightId, colorId);
+        updateModalColorSelection();
+    });
+}
+
+/**
+ * Loads highlights from extension storage and applies them to the page.
+ * @param {function} [callback] - Called once the highlights have been applied.
+ */
+function loadHighlights(callback) {
+    const requestedKey = pageKey;
+    chrome.runtime.sendMessage({ action: 'getPageHighlights', pageKey }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            console.error("Article Highlighter: Failed to load highlights.", chrome.runtime.lastError || response);
+            if (callback) callback(); // Don't leave anyone waiting on the page
+            return;
+        }
+        // The app navigated again while we were waiting; that route's load will take over.
+        // Or the highlighter was turned off for this site in the meantime.
+        if (requestedKey !== pageKey || !isActive) return;
+
+        // Storage may hold data from older versions, imports or other tools; only well-formed highlights are used
+        highlights = normalizeHighlights(response.highlights).filter(belongsToThisFrame);
+        reapplyHighlights();
+        if (callback) callback();
+    });
 }
 
 /**
- * Saves the current highlights array to localStorage.
+ * Saves the current highlights array to extension storage, along with the IDs of
+ * any highlights deleted since the last save. Highlights stored by other tabs or
+ * browsers that this one hasn't loaded are left alone.
  */
 function saveHighlights() {
-    localStorage.setItem(pageKey, JSON.stringify(highlights));
+    // Only the top frame knows the page's URL and title; storage keeps the ones it has for subframes
+    const meta = isTopFrame ? { url: getCanonicalUrl(), title: document.title, fingerprint: getPageFingerprint() } : {};
+    // A highlight brought back by undo isn't deleted after all
+    const deletedIds = [...deletedHighlightIds].filter(id => !highlights.some(h => h.id === id));
+    deletedHighlightIds = new Set();
+    chrome.runtime.sendMessage({
+        action: 'savePageHighlights',
+        pageKey,
+        ...meta,
+        highlights,
+        deletedIds
+    }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            console.error("Article Highlighter: Failed to save highlights.", chrome.runtime.lastError || response);
+            deletedIds.forEach(id => deletedHighlightIds.add(id)); // Sent again with the next save
+        } else if (!isTopFrame) {
+            reportFrameStatus(); // So the top frame's sidebar picks up the change
+        }
+    });
+    refreshAnnotations();
+}
+
+/**
+ * Hands any `highlights-*` entries written to this origin's localStorage by older
+ * versions over to extension storage, removing them once they're safely stored.
+ * @param {function} callback - Called when the migration has finished (or was not needed).
+ */
+function migrateLegacyHighlights(callback) {
+    const entries = [];
+    try {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith('highlights-')) continue;
+            try {
+                const saved = JSON.parse(localStorage.getItem(key));
+                // The page itself might use a similarly named key; only take data that looks like ours
+                if (Array.isArray(saved) && saved.every(h => h && h.id && typeof h.text === 'string')) {
+                    entries.push({ pageKey: key, highlights: saved });
+                }
+            } catch (e) {
+                // Not JSON, so not ours
+            }
+        }
+    } catch (e) {
+        // Sandboxed frames and pages with storage blocked throw a SecurityError; nothing to migrate
+        entries.length = 0;
+    }
+
+    if (entries.length === 0) {
+        callback();
+        return;
+    }
+
+    chrome.runtime.sendMessage({
+        action: 'migrateLegacyHighlights',
+        url: getCanonicalUrl(),
+        title: document.title,
+        entries
+    }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            console.error("Article Highlighter: Failed to migrate highlights, will retry on next visit.", chrome.runtime.lastError || response);
+        } else {
+            try {
+                entries.forEach(({ pageKey: key }) => localStorage.removeItem(key));
+            } catch (e) {
+                console.error("Article Highlighter: Failed to clear migrated highlights.", e);
+            }
+        }
+        callback();
+    });
 }
 
 /**
  * Handles the text selection event to show the highlighter button.
- * @param {MouseEvent} event - The mouseup event.
+ * @param {MouseEvent|KeyboardEvent|Event} event - The mouseup, keyup or selectionchange event.
  */
 function handleTextSelection(event) {
+    // Events from open shadow roots are retargeted to their host; the composed path has the real target
+    const origin = event.composedPath ? event.composedPath()[0] : event.target;
+    const target = origin instanceof Element ? origin : null;
+
     // Don't show the highlighter if we're clicking on an existing one or the modal
-    if (event.target.closest('.article-highlight-mark') || event.target.closest('#article-highlighter-note-modal')) {
+    if (target && (target.closest('.article-highlight-mark') || isOwnUi(target))) {
         hideHighlighter();
         return;
     }
+    if (event.type !== 'selectionchange') selectionRoot = getEventRoot(origin);
 
-    const selection = window.getSelection();
-    if (selection.toString().trim().length > 0) {
-        const range = selection.getRangeAt(0);
+    const range = getSelectionRange();
+    if (range && range.toString().trim().length > 0) {
         const rect = range.getBoundingClientRect();
         positionHighlighter(rect);
     } else {
@@ -67,99 +374,294 @@ function handleTextSelection(event) {
     }
 }
 
+/**
+ * Re-checks the selection shortly after it stops changing. Selections being dragged
+ * out with the mouse are left to the mouseup handler.
+ * @param {Event} event - The selectionchange event.
+ */
+function scheduleSelectionCheck(event) {
+    clearTimeout(selectionCheckTimer);
+    if (isMouseDown) return;
+    selectionCheckTimer = setTimeout(() => handleTextSelection(event), 250);
+}
+
+/**
+ * Remembers which highlight (if any) was right-clicked, for the "Remove highlight"
+ * menu entry. The entry does nothing after a right-click elsewhere.
+ * @param {MouseEvent} event - The contextmenu event.
+ */
+function handleContextMenu(event) {
+    const origin = event.composedPath()[0];
+    const mark = origin instanceof Element ? origin.closest('mark.article-highlight-mark') : null;
+    contextMenuHighlightId = mark ? mark.dataset.highlightId : null;
+    selectionRoot = getEventRoot(origin);
+}
+
+/**
+ * Gets the tree an event happened in, so selections inside shadow roots can be found.
+ * @param {EventTarget} origin - The innermost event target.
+ * @returns {Document|ShadowRoot} The shadow root containing the target, or the document.
+ */
+function getEventRoot(origin) {
+    const root = origin instanceof Node ? origin.getRootNode() : document;
+    return root instanceof ShadowRoot ? root : document;
+}
+
+/**
+ * Gets the current selection as a Range. Selections inside a shadow root aren't
+ * exposed by `window.getSelection()`, so those are read from the root itself.
+ * @returns {Range|null} The selected range, or null if nothing is selected.
+ */
+function getSelectionRange() {
+    let selection = window.getSelection();
+    if (selectionRoot instanceof ShadowRoot && selectionRoot.host.isConnected) {
+        if (typeof selectionRoot.getSelection === 'function') {
+            selection = selectionRoot.getSelection();
+        } else if (typeof selection.getComposedRanges === 'function') {
+            const [staticRange] = selection.getComposedRanges({ shadowRoots: [selectionRoot] });
+            if (!staticRange || staticRange.collapsed) return null;
+            const range = document.createRange();
+            range.setStart(staticRange.startContainer, staticRange.startOffset);
+            range.setEnd(staticRange.endContainer, staticRange.endOffset);
+            return range;
+        }
+    }
+    return selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+}
+
 /**
  * Creates and saves a new highlight from the current selection.
+ * @param {string} [colorId] - The palette color to use; defaults to the first one.
+ * @param {{openNote: boolean}} [options] - Whether to open the note modal afterwards.
  */
-function createHighlight() {
-    const selection = window.getSelection();
-    if (selection.toString().trim().length === 0) return;
+function createHighlight(colorId, { openNote = true } = {}) {
+    const range = getSelectionRange();
+    if (!range || range.toString().trim().length === 0) return;
 
-    const range = selection.getRangeAt(0);
-    const serializedRange = serializeRange(range);
+    const text = range.toString();
+    const selectors = createSelectors(range);
     
-    if (!serializedRange) {
+    if (!selectors) {
         alert("Highlighting failed. The selected content might be in a complex or protected element.");
         return;
     }
 
     const newHighlight = {
         id: `highlight-${Date.now()}`,
-        text: selection.toString(),
+        text,
         note: '',
+        color: getPaletteEntry(colorId).id,
         createdAt: new Date().toISOString(),
-        range: serializedRange
+        ...selectors
     };
+    if (frameInfo) newHighlight.frame = frameInfo;
     
     highlights.push(newHighlight);
-    wrapRangeWithMark(range, newHighlight.id);
+    wrapRangeWithMark(range, newHighlight.id, newHighlight.color);
+    discardOwnMutations();
     saveHighlights();
+    recordOperation('create', null, newHighlight);
+    announce(`Highlight added: ${getPaletteEntry(newHighlight.color).label}`);
     
     // Clear selection and hide the highlighter button
-    selection.removeAllRanges();
+    window.getSelection().removeAllRanges();
     hideHighlighter();
 
     // Optionally open note modal immediately
-    openNoteModal(newHighlight.id);
+    if (openNote) openNoteModal(newHighlight.id);
 }
 
 /**
- * Iterates through saved highlights and re-applies them to the DOM.
+ * Iterates through saved highlights and applies any that aren't already on the page.
+ * Safe to call repeatedly; highlights that no anchoring strategy can place are tracked as orphaned.
+ * @returns {number} The number of highlights newly applied.
  */
 function reapplyHighlights() {
+    let backfilled = false;
+    let applied = 0;
+    orphanedHighlightIds = new Set();
+
     highlights.forEach(highlight => {
+        if (getMarks(highlight.id).length > 0) return;
         try {
-            const range = deserializeRange(highlight.range);
-            if (range) {
-                // Verify that the text content still roughly matches to avoid highlighting wrong text
-                const currentText = range.toString().trim();
-                const savedText = highlight.text.trim();
-                if (currentText.includes(savedText) || savedText.includes(currentText)) {
-                    wrapRangeWithMark(range, highlight.id);
-                } else {
-                    console.warn("Article Highlighter: Mismatch found for highlight, skipping.", { savedText, currentText, range: highlight.range });
-                }
+            const anchor = anchorHighlight(highlight);
+            if (!anchor) {
+                orphanedHighlightIds.add(highlight.id);
+                return;
+            }
+
+            // Highlights saved before text selectors existed get them now, while we know where they are
+            if (!highlight.quote || !highlight.position) {
+                Object.assign(highlight, createSelectors(anchor.range));
+                backfilled = true;
             }
+            wrapRangeWithMark(anchor.range, highlight.id, highlight.color);
+            applied++;
         } catch (error) {
             console.error("Article Highlighter: Failed to reapply highlight.", { highlight, error });
+            orphanedHighlightIds.add(highlight.id);
         }
     });
+
+    discardOwnMutations();
+    if (backfilled) saveHighlights();
+    if (!isTopFrame) reportFrameStatus();
+    refreshAnnotations();
+    return applied;
 }
 
 /**
- * Wraps a Range object with a <mark> element.
+ * Wraps a Range with <mark> elements, one per text node it covers, so highlights
+ * spanning paragraphs, list items or table cells never move page elements around.
+ * All of a highlight's marks share its ID.
  * @param {Range} range - The range to wrap.
  * @param {string} highlightId - The unique ID of the highlight.
+ * @param {string} colorId - The palette color of the highlight.
+ * @returns {Array<HTMLElement>} The marks, in document order.
  */
-function wrapRangeWithMark(range, highlightId) {
-    const mark = document.createElement('mark');
-    mark.className = 'article-highlight-mark';
-    mark.dataset.highlightId = highlightId;
-    mark.addEventListener('click', () => openNoteModal(highlightId));
+function wrapRangeWithMark(range, highlightId, colorId) {
+    const root = range.commonAncestorContainer.getRootNode();
+    if (root instanceof ShadowRoot) {
+        addMarkRoot(root);
+    } else {
+        adoptMarkStyles(document);
+    }
 
-    try {
-        // This is the standard way, but can fail if the range spans across
-        // certain HTML element boundaries.
-        range.surroundContents(mark);
-    } catch (e) {
-        // Fallback for complex ranges: extract, wrap, and insert.
-        const fragment = range.extractContents();
-        mark.appendChild(fragment);
-        range.insertNode(mark);
-        console.warn("Article Highlighter: Used fallback for wrapping range.", e);
+    return getTextNodesInRange(range).map((textNode, i) => {
+        const mark = document.createElement('mark');
+        mark.className = 'article-highlight-mark';
+        mark.dataset.highlightId = highlightId;
+        // One tab stop per highlight, however many marks it takes
+        if (i === 0) mark.tabIndex = 0;
+        paintMark(mark, colorId);
+        mark.addEventListener('click', () => openNoteModal(highlightId));
+        mark.addEventListener('keydown', (e) => handleMarkKeydown(e, highlightId));
+
+        textNode.parentNode.insertBefore(mark, textNode);
+        mark.appendChild(textNode);
+        return mark;
+    });
+}
+
+/**
+ * Collects the text nodes covered by a range, splitting the first and last
+ * so that only the selected part of each is returned.
+ * @param {Range} range - The range.
+ * @returns {Array<Text>} The covered text nodes, in document order.
+ */
+function getTextNodesInRange(range) {
+    const { startContainer, startOffset, endContainer, endOffset } = range;
+    const root = range.commonAncestorContainer;
+    const nodes = [];
+
+    if (root.nodeType === Node.TEXT_NODE) {
+        nodes.push(root);
+    } else {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                if (!range.intersectsNode(node)) return NodeFilter.FILTER_REJECT;
+                // Whitespace between block elements (e.g. between <li>s) can't hold a mark
+                if (!node.data.trim() && node !== startContainer && node !== endContainer) return NodeFilter.FILTER_REJECT;
+                if (node.parentElement && node.parentElement.closest('script, style, noscript, textarea')) return NodeFilter.FILTER_REJECT;
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            nodes.push(node);
+        }
+    }
+
+    // Trim the ends. Split the end first so the start offset stays valid when both are the same node.
+    const last = nodes[nodes.length - 1];
+    if (last === endContainer) {
+        if (endOffset === 0) nodes.pop();
+        else if (endOffset < last.data.length) last.splitText(endOffset);
     }
+    if (nodes[0] === startContainer) {
+        if (startOffset >= nodes[0].data.length) nodes.shift();
+        else if (startOffset > 0) nodes[0] = nodes[0].splitText(startOffset);
+    }
+
+    return nodes;
+}
+
+/**
+ * Gets every mark belonging to a highlight.
+ * @param {string} highlightId - The ID of the highlight.
+ * @returns {Array<HTMLElement>} The marks, in document order.
+ */
+function getMarks(highlightId) {
+    return queryMarks(`mark[data-highlight-id="${CSS.escape(highlightId)}"]`);
+}
+
+/**
+ * Finds marks in the document and in every shadow root we've highlighted inside.
+ * @param {string} selector - The CSS selector for the marks.
+ * @returns {Array<HTMLElement>} The matching marks, in reading order.
+ */
+function queryMarks(selector) {
+    const marks = [];
+    markRoots.forEach(root => {
+        // The page may have thrown the component away since
+        if (root !== document && !root.host.isConnected) {
+            markRoots.delete(root);
+            return;
+        }
+        marks.push(...root.querySelectorAll(selector));
+    });
+    if (markRoots.size === 1) return marks;
+
+    // Document order doesn't cross shadow boundaries, so fall back to where the marks sit on the page
+    return marks.sort((a, b) => {
+        const rectA = a.getBoundingClientRect();
+        const rectB = b.getBoundingClientRect();
+        return rectA.top - rectB.top || rectA.left - rectB.left;
+    });
+}
+
+/**
+ * Starts tracking a shadow root that holds marks, giving it the mark styles
+ * and watching it for re-renders.
+ * @param {ShadowRoot} root - The shadow root.
+ */
+function addMarkRoot(root) {
+    if (markRoots.has(root)) return;
+    markRoots.add(root);
+    adoptMarkStyles(root);
+    if (pageObserver) pageObserver.observe(root, { childList: true, subtree: true, characterData: true });
 }
 
+// Messages about one highlight reach every frame in the tab; only the frame that owns it acts
+const HIGHLIGHT_ACTIONS = ['deleteHighlight', 'updateNote', 'updateTags', 'recolorHighlight', 'goToHighlight', 'findClosestMatch', 'reattachHighlight'];
+
 /**
  * Handles incoming messages from the popup or other extension parts.
  * @param {object} request - The message object.
  * @param {object} sender - The sender information.
  * @param {function} sendResponse - The function to call to send a response.
+ * @returns {boolean} True if a response will be sent asynchronously.
  */
 function handleMessages(request, sender, sendResponse) {
+    // Until the site rules let us run, the page has no highlights to act on; share links still work
+    if (!isActive && !['activate', 'settingsChanged', 'revealLinkedPassage'].includes(request.action)) return false;
+    // Keyboard shortcuts reach every frame; the one the user is typing in handles them
+    if (request.focusedFrameOnly && !document.hasFocus()) return false;
+    if (HIGHLIGHT_ACTIONS.includes(request.action) && !highlights.some(h => h.id === request.highlightId)) {
+        return false; // Another frame's highlight; let that frame respond
+    }
+
     switch (request.action) {
         case 'getHighlights':
-            sendResponse({ highlights });
-            break;
+            getTabHighlights(tabHighlights => {
+                sendResponse({
+                    highlights: tabHighlights,
+                    orphanedIds: [...getTabOrphanedIds(tabHighlights)],
+                    page: { url: getCanonicalUrl(), title: document.title },
+                    pageKey,
+                    fingerprint: getPageFingerprint()
+                });
+            });
+            return true;
         case 'deleteHighlight':
             deleteHighlight(request.highlightId);
             sendResponse({ success: true });
@@ -168,39 +670,159 @@ function handleMessages(request, sender, sendResponse) {
             updateNote(request.highlightId, request.note);
             sendResponse({ success: true });
             break;
+        case 'updateTags':
+            updateTags(request.highlightId, request.tags);
+            sendResponse({ success: true });
+            break;
+        case 'recolorHighlight':
+            recolorHighlight(request.highlightId, request.color);
+            sendResponse({ success: true });
+            break;
+        case 'findClosestMatch':
+            sendResponse(showClosestMatch(request.highlightId));
+            break;
+        case 'reattachHighlight':
+            sendResponse(reattachHighlight(request.highlightId, request.selectors));
+            break;
+        case 'revealLinkedPassage':
+            // The top frame couldn't find a share link's passage; it may be in this frame
+            if (!isTopFrame) revealLinkedPassage(normalizeHighlight(request.anchor));
+            break;
+        case 'settingsChanged':
+            applySettings(request.settings);
+            break;
+        case 'activate':
+            // The popup opened; "on-click" sites start now. The top frame answers once its highlights are in.
+            if (siteMode === 'disabled') return false;
+            if (!isTopFrame) {
+                activate();
+                return false;
+            }
+            activate(() => sendResponse({ active: true }));
+            return true;
+        case 'pageHighlightsChanged':
+            // Sync brought in changes made in another browser, or highlights were merged in from related pages
+            if (!request.pageKeys.includes(pageKey)) return false;
+            reloadHighlights(() => sendResponse({ success: true }));
+            return true;
         case 'goToHighlight':
             goToHighlight(request.highlightId);
             break;
+        case 'highlightSelection':
+            createHighlight(request.color, { openNote: false });
+            break;
+        case 'removeContextMenuHighlight':
+            if (contextMenuHighlightId) deleteHighlight(contextMenuHighlightId);
+            contextMenuHighlightId = null;
+            break;
+        case 'highlightSelectionWithNote':
+            createHighlight();
+            break;
+        case 'goToNextHighlight':
+            goToAdjacentHighlight(1);
+            break;
+        case 'goToPreviousHighlight':
+            goToAdjacentHighlight(-1);
+            break;
         case 'exportToPDF':
             prepareForExport();
             break;
         case 'exportHighlightsOnly':
-            exportHighlightsOnly();
+            getTabHighlights(tabHighlights => {
+                // The popup sends the highlights left after its search and filters, in its order
+                if (request.highlightIds) {
+                    const byId = new Map(tabHighlights.map(h => [h.id, h]));
+                    tabHighlights = request.highlightIds.map(id => byId.get(id)).filter(Boolean);
+                }
+                exportHighlightsOnly(tabHighlights);
+            });
+            break;
+        case 'getPageKey':
+            if (!isTopFrame) return false;
+            sendResponse({ pageKey });
+            break;
+        case 'topPageKey':
+            if (!isTopFrame && request.pageKey !== pageKey) switchPage(request.pageKey);
+            break;
+        case 'frameStatus':
+            if (!isTopFrame) return false;
+            frameOrphans.set(request.frameKey, request.orphanedIds);
+            refreshSidebar();
+            break;
+        case 'toggleSidebar':
+            if (!isTopFrame) return false;
+            toggleSidebar();
             break;
     }
-    return true; // Indicates that the response is sent asynchronously
+    return false;
 }
 
 
 // --- UI Functions ---
 
 /**
- * Creates the floating highlighter button element.
+ * Creates the floating highlighter button element, a small palette of colors.
+ * The swatches are filled in by `applySettings` once the palette has loaded.
+ * It's a toolbar of real buttons, so it works from the keyboard too (see `handleHighlighterShortcut`).
  * @returns {HTMLElement} The highlighter button element.
  */
 function createHighlighterElement() {
     const el = document.createElement('div');
     el.id = 'article-highlighter-button';
-    el.innerHTML = '✨ Highlight';
+    el.setAttribute('role', 'toolbar');
+    el.setAttribute('aria-label', 'Highlight the selection');
+    el.innerHTML = '<button type="button" class="label" aria-label="Highlight in the default color">✨</button><span class="palette"></span>';
     el.addEventListener('mousedown', (e) => {
         // Prevent this click from triggering a 'mouseup' that hides the button
         e.preventDefault();
-        createHighlight();
+        // Clicking outside a swatch uses the default color
+        if (!e.target.closest('.swatch')) createHighlight();
+    });
+    el.addEventListener('click', (e) => {
+        // Enter or Space on a button; mouse clicks were handled on mousedown
+        if (e.detail === 0 && !e.target.closest('.swatch')) createHighlight();
+    });
+    el.addEventListener('keydown', (e) => {
+        const buttons = Array.from(el.querySelectorAll('button'));
+        const index = buttons.indexOf(uiRoot.activeElement);
+        if (e.key === 'Escape') {
+            hideHighlighter();
+        } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && index !== -1) {
+            const step = e.key === 'ArrowRight' ? 1 : -1;
+            buttons[(index + step + buttons.length) % buttons.length].focus();
+        }
     });
-    document.body.appendChild(el);
+    uiRoot.appendChild(el);
     return el;
 }
 
+/**
+ * Fills a container with one swatch button per palette color.
+ * @param {HTMLElement} container - The element to fill.
+ * @param {function(string)} onSelect - Called with the color ID when a swatch is chosen.
+ */
+function renderPaletteButtons(container, onSelect) {
+    container.innerHTML = '';
+    palette.forEach(entry => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'swatch';
+        swatch.dataset.color = entry.id;
+        swatch.title = entry.label;
+        swatch.setAttribute('aria-label', entry.label);
+        swatch.style.backgroundColor = entry.color;
+        // mousedown so the floating button acts before the selection is lost
+        swatch.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            onSelect(entry.id);
+        });
+        swatch.addEventListener('click', (e) => {
+            if (e.detail === 0) onSelect(entry.id); // From the keyboard
+        });
+        container.appendChild(swatch);
+    });
+}
+
 /**
  * Positions the highlighter button next to the selected text.
  * @param {DOMRect} rect - The bounding rectangle of the selected text.
@@ -212,10 +834,25 @@ function positionHighlighter(rect) {
 }
 
 /**
- * Hides the highlighter button.
+ * Hides the highlighter button. If it had focus, focus goes back to the page.
  */
 function hideHighlighter() {
+    const hadFocus = highlighterEl.contains(uiRoot.activeElement);
     highlighterEl.style.display = 'none';
+    if (hadFocus) uiRoot.activeElement.blur();
+}
+
+/**
+ * Moves focus from the page into the floating button when Tab is pressed while
+ * it's showing, so text selected with the keyboard can be highlighted without a mouse.
+ * The arrow keys move between its buttons, and Escape closes it.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleHighlighterShortcut(event) {
+    if (event.key !== 'Tab' || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (highlighterEl.style.display !== 'block') return;
+    event.preventDefault();
+    highlighterEl.querySelector('button').focus();
 }
 
 /**
@@ -226,26 +863,52 @@ function createNoteModalElement() {
     const modal = document.createElement('div');
     modal.id = 'article-highlighter-note-modal';
     modal.innerHTML = `
-        <div class="modal-content">
-            <h3>Highlight Note</h3>
-            <textarea placeholder="Add a note..."></textarea>
+        <div class="modal-content" role="dialog" aria-modal="true" aria-labelledby="article-highlighter-note-title">
+            <h3 id="article-highlighter-note-title">Highlight Note</h3>
+            <div class="color-row">
+                <div class="color-options" role="group" aria-label="Color"></div>
+                <span class="color-label"></span>
+            </div>
+            <div class="note-tabs">
+                <button class="tab-btn write-tab selected" aria-pressed="true">Write</button>
+                <button class="tab-btn preview-tab" aria-pressed="false">Preview</button>
+            </div>
+            <textarea placeholder="Add a note... (Markdown supported)" aria-label="Note"></textarea>
+            <div class="note-preview" hidden></div>
+            <input type="text" class="tags-input" placeholder="Tags, separated by commas" aria-label="Tags, separated by commas">
+            <details class="note-history" hidden>
+                <summary></summary>
+                <ol class="history-list"></ol>
+            </details>
             <div class="modal-actions">
                 <button class="save-btn">Save</button>
                 <button class="delete-btn">Delete Highlight</button>
+                <button class="link-btn" title="Copy a link that opens the page at this highlight">Copy Link</button>
                 <button class="cancel-btn">Close</button>
             </div>
         </div>
     `;
-    document.body.appendChild(modal);
+    uiRoot.appendChild(modal);
 
     // Add event listeners
     modal.querySelector('.save-btn').addEventListener('click', () => saveNote());
     modal.querySelector('.delete-btn').addEventListener('click', () => deleteCurrentHighlight());
+    modal.querySelector('.link-btn').addEventListener('click', () => copyHighlightLink(modal.dataset.currentHighlightId));
     modal.querySelector('.cancel-btn').addEventListener('click', () => closeModal());
+    modal.querySelector('.write-tab').addEventListener('click', () => showNoteTab(false));
+    modal.querySelector('.preview-tab').addEventListener('click', () => showNoteTab(true));
     modal.addEventListener('click', (e) => {
         // Close if clicking on the backdrop
         if (e.target === modal) closeModal();
     });
+    modal.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeModal();
+        } else if (e.key === 'Tab') {
+            trapFocus(e, modal);
+        }
+    });
 
     return modal;
 }
@@ -260,25 +923,141 @@ function openNoteModal(highlightId) {
 
     noteModalEl.dataset.currentHighlightId = highlightId;
     noteModalEl.querySelector('textarea').value = highlight.note || '';
+    noteModalEl.querySelector('.tags-input').value = formatTags(highlight.tags);
+    updateModalColorSelection();
+    renderNoteHistory(highlight);
+    if (noteModalEl.style.display !== 'flex') modalReturnFocus = getReturnFocus(highlightId);
     noteModalEl.style.display = 'flex';
-    noteModalEl.querySelector('textarea').focus();
+    showNoteTab(false);
+}
+
+/**
+ * Switches the note modal between editing the Markdown and previewing it.
+ * @param {boolean} preview - True to show the rendered preview.
+ */
+function showNoteTab(preview) {
+    const textarea = noteModalEl.querySelector('textarea');
+    const previewEl = noteModalEl.querySelector('.note-preview');
+    if (preview) {
+        previewEl.innerHTML = textarea.value.trim() ? renderMarkdown(textarea.value) : '<p class="empty">Nothing to preview.</p>';
+    }
+    textarea.hidden = preview;
+    previewEl.hidden = !preview;
+    noteModalEl.querySelector('.write-tab').classList.toggle('selected', !preview);
+    noteModalEl.querySelector('.write-tab').setAttribute('aria-pressed', String(!preview));
+    noteModalEl.querySelector('.preview-tab').classList.toggle('selected', preview);
+    noteModalEl.querySelector('.preview-tab').setAttribute('aria-pressed', String(preview));
+    if (!preview) textarea.focus();
+}
+
+/**
+ * Lists a highlight's earlier notes in the modal, each with a button to bring it back.
+ * Restoring only fills in the editor; the note changes when the user saves.
+ * @param {object} highlight - The highlight.
+ */
+function renderNoteHistory(highlight) {
+    const history = highlight.noteHistory || [];
+    const details = noteModalEl.querySelector('.note-history');
+    const list = details.querySelector('.history-list');
+    details.hidden = history.length === 0;
+    details.open = false;
+    details.querySelector('summary').textContent = `Earlier versions (${history.length})`;
+
+    list.innerHTML = '';
+    history.forEach(version => {
+        const li = document.createElement('li');
+        const time = document.createElement('time');
+        time.dateTime = version.updatedAt;
+        time.textContent = new Date(version.updatedAt).toLocaleString();
+        const body = document.createElement('div');
+        body.className = 'history-note';
+        body.innerHTML = renderMarkdown(version.note);
+        const restore = document.createElement('button');
+        restore.className = 'restore-btn';
+        restore.textContent = 'Restore';
+        restore.addEventListener('click', () => {
+            noteModalEl.querySelector('textarea').value = version.note;
+            showNoteTab(false);
+        });
+        li.append(time, restore, body);
+        list.appendChild(li);
+    });
+}
+
+/**
+ * Marks the current highlight's color as selected in the note modal.
+ */
+function updateModalColorSelection() {
+    const highlight = highlights.find(h => h.id === noteModalEl.dataset.currentHighlightId);
+    if (!highlight) return;
+
+    const entry = getPaletteEntry(highlight.color);
+    noteModalEl.querySelectorAll('.swatch').forEach(swatch => {
+        swatch.classList.toggle('selected', swatch.dataset.color === entry.id);
+        swatch.setAttribute('aria-pressed', String(swatch.dataset.color === entry.id));
+    });
+    noteModalEl.querySelector('.color-label').textContent = entry.label;
 }
 
 /**
- * Closes the note modal.
+ * Closes the note modal. If focus was in it, it goes back to where it was before
+ * the modal opened.
  */
 function closeModal() {
+    const hadFocus = noteModalEl.contains(uiRoot.activeElement);
     noteModalEl.style.display = 'none';
     noteModalEl.dataset.currentHighlightId = '';
+    if (hadFocus && modalReturnFocus && modalReturnFocus.isConnected) modalReturnFocus.focus();
+    modalReturnFocus = null;
+}
+
+/**
+ * Works out where focus should return to when the note modal closes: what had
+ * focus before it opened, or the highlight itself when that was our floating
+ * button (which is gone by then) or nothing in particular.
+ * @param {string} highlightId - The highlight the modal is opening for.
+ * @returns {HTMLElement|null} The element to focus.
+ */
+function getReturnFocus(highlightId) {
+    let focused = document.activeElement;
+    // Our shadow root is closed, so only it knows what's focused inside
+    if (focused === uiRoot.host) focused = uiRoot.activeElement;
+    while (focused && focused.shadowRoot && focused.shadowRoot.activeElement) {
+        focused = focused.shadowRoot.activeElement;
+    }
+    if (focused && focused !== document.body && !highlighterEl.contains(focused)) return focused;
+    return getMarks(highlightId).find(mark => mark.hasAttribute('tabindex')) || null;
 }
 
 /**
- * Saves the note from the modal to the corresponding highlight.
+ * Keeps Tab and Shift+Tab cycling through the controls of an open dialog.
+ * @param {KeyboardEvent} event - The Tab keydown event.
+ * @param {HTMLElement} container - The dialog.
+ */
+function trapFocus(event, container) {
+    const focusable = Array.from(container.querySelectorAll('button, textarea, input, select, summary, a[href], [tabindex="0"]'))
+        .filter(el => !el.disabled && el.getClientRects().length > 0);
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = uiRoot.activeElement;
+    if (event.shiftKey && (active === first || !container.contains(active))) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (active === last || !container.contains(active))) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Saves the note and tags from the modal to the corresponding highlight.
  */
 function saveNote() {
     const highlightId = noteModalEl.dataset.currentHighlightId;
     const noteText = noteModalEl.querySelector('textarea').value;
-    updateNote(highlightId, noteText);
+    const tags = parseTags(noteModalEl.querySelector('.tags-input').value);
+    updateHighlight(highlightId, { note: noteText, tags });
     closeModal();
 }
 
@@ -300,178 +1079,1140 @@ function deleteCurrentHighlight() {
  * @param {string} note - The new note text.
  */
 function updateNote(highlightId, note) {
-    const index = highlights.findIndex(h => h.id === highlightId);
-    if (index !== -1) {
-        highlights[index].note = note;
-        saveHighlights();
-    }
+    updateHighlight(highlightId, { note });
 }
 
 /**
- * Deletes a highlight from the page and from storage.
- * @param {string} highlightId - The ID of the highlight to delete.
+ * Replaces the tags on a specific highlight.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {Array<string>} tags - The new tags.
  */
-function deleteHighlight(highlightId) {
-    // Remove from array
-    highlights = highlights.filter(h => h.id !== highlightId);
-    saveHighlights();
+function updateTags(highlightId, tags) {
+    updateHighlight(highlightId, { tags });
+}
 
-    // Remove from DOM
-    const mark = document.querySelector(`mark[data-highlight-id="${highlightId}"]`);
-    if (mark) {
-        const parent = mark.parentNode;
-        parent.replaceChild(document.createTextNode(mark.textContent), mark);
-        parent.normalize(); // Merges adjacent text nodes
+/**
+ * Changes a highlight's note and/or tags and saves it. A replaced note is kept in
+ * the highlight's `noteHistory` so the change can be reviewed and undone.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {{note: string, tags: Array<string>}} changes - The fields to change.
+ */
+function updateHighlight(highlightId, changes) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    if (!highlight) return;
+
+    const changed = Object.keys(changes).filter(key => JSON.stringify(changes[key]) !== JSON.stringify(highlight[key]));
+    if (changed.length === 0) return;
+
+    const before = copyHighlight(highlight);
+    if (changed.includes('note') && highlight.note) {
+        highlight.noteHistory = [
+            { note: highlight.note, updatedAt: highlight.updatedAt || highlight.createdAt },
+            ...(highlight.noteHistory || [])
+        ].slice(0, MAX_NOTE_HISTORY);
     }
+    Object.assign(highlight, changes, { updatedAt: new Date().toISOString() });
+    saveHighlights();
+    recordOperation('edit', before, highlight);
 }
 
 /**
- * Scrolls the page to a specific highlight.
- * @param {string} highlightId - The ID of the highlight to scroll to.
+ * Changes the color of a highlight.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {string} colorId - The new palette color.
  */
-function goToHighlight(highlightId) {
-    const mark = document.querySelector(`mark[data-highlight-id="${highlightId}"]`);
-    if (mark) {
-        mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
-    }
+function recolorHighlight(highlightId, colorId) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    const newColor = getPaletteEntry(colorId).id;
+    if (!highlight || highlight.color === newColor) return;
+
+    const before = copyHighlight(highlight);
+    highlight.color = newColor;
+    highlight.updatedAt = new Date().toISOString();
+    paintMarks(highlightId, highlight.color);
+    saveHighlights();
+    recordOperation('recolor', before, highlight);
 }
 
+/**
+ * Looks up a palette color, falling back to the default for unknown or removed colors.
+ * @param {string} [colorId] - The palette color ID.
+ * @returns {{id: string, color: string, label: string}} The palette entry.
+ */
+function getPaletteEntry(colorId) {
+    return palette.find(entry => entry.id === colorId) || palette[0] || DEFAULT_PALETTE_ENTRY;
+}
 
-// --- Serialization / Deserialization ---
+/**
+ * Colors every mark belonging to a highlight.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {string} colorId - The palette color.
+ */
+function paintMarks(highlightId, colorId) {
+    getMarks(highlightId).forEach(mark => paintMark(mark, colorId));
+}
 
 /**
- * Generates an XPath for a given DOM element.
- * @param {Node} element - The element to generate the path for.
- * @returns {string} The XPath string.
+ * Colors a single mark and labels it with the color's meaning.
+ * @param {HTMLElement} mark - The mark element.
+ * @param {string} colorId - The palette color.
  */
-function getXPathForElement(element) {
-    // We only want to generate paths for element nodes
-    if (element.nodeType !== Node.ELEMENT_NODE) {
-        return null;
+function paintMark(mark, colorId) {
+    const entry = getPaletteEntry(colorId);
+    mark.dataset.color = entry.id;
+    mark.dataset.label = entry.label;
+    mark.title = entry.label;
+    mark.style.backgroundColor = entry.color;
+    // For the high-contrast and dark mode styles, which have to override the inline color
+    mark.style.setProperty('--article-highlighter-color', entry.color);
+    if (mark.hasAttribute('tabindex')) {
+        mark.setAttribute('aria-description', `${entry.label} highlight. Press Enter to open its note, or Delete to remove it.`);
     }
+}
 
-    const paths = [];
-    for (; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
-        let index = 0;
-        let hasFollowingSibling = false;
-        for (let sibling = element.previousSibling; sibling; sibling = sibling.previousSibling) {
-            if (sibling.nodeName === element.nodeName) {
-                index++;
-            }
-        }
-        for (let sibling = element.nextSibling; sibling && !hasFollowingSibling; sibling = sibling.nextSibling) {
-            if (sibling.nodeName === element.nodeName) {
-                hasFollowingSibling = true;
-            }
-        }
-        const tagName = element.nodeName.toLowerCase();
-        const pathIndex = (index > 0 || hasFollowingSibling) ? `[${index + 1}]` : '';
-        paths.splice(0, 0, tagName + pathIndex);
+/**
+ * Lets a focused highlight be opened with Enter or Space and removed with Delete or Backspace.
+ * @param {KeyboardEvent} event - The keydown event on the highlight's mark.
+ * @param {string} highlightId - The ID of the highlight.
+ */
+function handleMarkKeydown(event, highlightId) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault(); // Space would scroll the page
+        openNoteModal(highlightId);
+    } else if (event.key === 'Delete' || event.key === 'Backspace') {
+        event.preventDefault();
+        deleteHighlight(highlightId);
     }
-    return paths.length ? '/' + paths.join('/') : null;
 }
 
 /**
- * Serializes a Range object into a storable format.
- * @param {Range} range - The range to serialize.
- * @returns {object|null} A serializable object representing the range.
+ * Deletes a highlight from the page and from storage, offering to undo it.
+ * @param {string} highlightId - The ID of the highlight to delete.
  */
-function serializeRange(range) {
-    const startContainer = range.startContainer;
-    const endContainer = range.endContainer;
-
-    // Get XPath for element nodes, or for the parent of text nodes
-    const startXPath = getXPathForElement(startContainer.nodeType === Node.TEXT_NODE ? startContainer.parentElement : startContainer);
-    const endXPath = getXPathForElement(endContainer.nodeType === Node.TEXT_NODE ? endContainer.parentElement : endContainer);
+function deleteHighlight(highlightId) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    if (!highlight) return;
 
-    if (!startXPath || !endXPath) return null;
+    recordOperation('delete', highlight, null);
+    removeHighlight(highlightId);
+    showToast('Highlight deleted', 'Undo', undo);
+}
 
-    // For text nodes, we need to know which child it is
-    const startChildIndex = (startContainer.nodeType === Node.TEXT_NODE) ?
-        Array.from(startContainer.parentNode.childNodes).indexOf(startContainer) : -1;
-    const endChildIndex = (endContainer.nodeType === Node.TEXT_NODE) ?
-        Array.from(endContainer.parentNode.childNodes).indexOf(endContainer) : -1;
+/**
+ * Removes a highlight from the page and from storage.
+ * @param {string} highlightId - The ID of the highlight to remove.
+ */
+function removeHighlight(highlightId) {
+    // Remove from array
+    highlights = highlights.filter(h => h.id !== highlightId);
+    orphanedHighlightIds.delete(highlightId);
+    deletedHighlightIds.add(highlightId);
 
-    return {
-        startXPath,
-        startOffset: range.startOffset,
-        startChildIndex,
-        endXPath,
-        endOffset: range.endOffset,
-        endChildIndex,
-        contextText: range.toString().substring(0, 50) // For fallback
-    };
+    // Remove from DOM
+    unwrapMarks(highlightId);
+    saveHighlights();
 }
 
 /**
- * Deserializes a range object back into a DOM Range.
- * @param {object} savedRange - The serialized range data.
- * @returns {Range|null} The reconstituted Range object.
+ * Removes every mark belonging to a highlight, putting its contents back where they were.
+ * @param {string} highlightId - The ID of the highlight.
  */
-function deserializeRange(savedRange) {
-    const range = document.createRange();
-
-    const startNodeParent = document.evaluate(savedRange.startXPath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
-    const endNodeParent = document.evaluate(savedRange.endXPath, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+function unwrapMarks(highlightId) {
+    getMarks(highlightId).forEach(unwrapElement);
+    discardOwnMutations();
+}
 
-    if (!startNodeParent || !endNodeParent) {
-        console.warn("Article Highlighter: Couldn't find start or end node for range.", savedRange);
-        return null; // Fallback could be implemented here using contextText
+/**
+ * Replaces one of our marks with its contents.
+ * @param {HTMLElement} mark - The mark.
+ */
+function unwrapElement(mark) {
+    const parent = mark.parentNode;
+    if (!parent) return; // The page already removed it
+    const before = mark.previousSibling;
+    const after = mark.nextSibling;
+    const first = mark.firstChild;
+    let last = mark.lastChild;
+    while (mark.firstChild) {
+        parent.insertBefore(mark.firstChild, mark);
     }
-    
-    // If the original node was a text node, find it by its index
-    const startNode = (savedRange.startChildIndex > -1) ? startNodeParent.childNodes[savedRange.startChildIndex] : startNodeParent;
-    const endNode = (savedRange.endChildIndex > -1) ? endNodeParent.childNodes[savedRange.endChildIndex] : endNodeParent;
+    parent.removeChild(mark);
 
-    if (!startNode || !endNode) {
-        console.warn("Article Highlighter: Couldn't find child text node for range.", savedRange);
-        return null;
+    // Rejoin the text nodes split when the mark was added, leaving the page's own alone
+    if (!first) {
+        mergeTextNodes(before, after);
+        return;
     }
-
-    range.setStart(startNode, savedRange.startOffset);
-    range.setEnd(endNode, savedRange.endOffset);
-
-    return range;
+    if (mergeTextNodes(before, first) && last === first) last = before;
+    mergeTextNodes(last, after);
 }
 
-
-// --- Export & Utility Functions ---
-
 /**
- * Prepares the page for printing by creating a new document with highlights.
+ * Appends a text node to the one before it and removes it.
+ * @param {Node|null} node - The first node.
+ * @param {Node|null} next - Its next sibling.
+ * @returns {boolean} True if both were text nodes and were merged.
  */
-function prepareForExport() {
-    const originalTitle = document.title;
-    const clone = document.cloneNode(true);
-    
-    // Remove scripts and interactive elements from the clone
-    clone.querySelectorAll('script, style, #article-highlighter-button, #article-highlighter-note-modal').forEach(el => el.remove());
+function mergeTextNodes(node, next) {
+    if (!node || !next || node.nodeType !== Node.TEXT_NODE || next.nodeType !== Node.TEXT_NODE) return false;
+    node.appendData(next.data);
+    next.parentNode.removeChild(next);
+    return true;
+}
 
-    // Create a new window to print from
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write('<!DOCTYPE html><html><head><title>' + originalTitle + ' (Highlights)</title></head><body>' + clone.documentElement.innerHTML + '</body></html>');
-    
-    // Add styles for printing
-    const style = printWindow.document.createElement('style');
-    style.innerHTML = `
-        body { font-family: sans-serif; line-height: 1.5; }
-        .article-highlight-mark { background-color: #fefcbf !important; color: black !important; }
+/**
+ * Scrolls to the highlight this tab was opened for from the library, if any.
+ */
+function scrollToPendingHighlight() {
+    chrome.runtime.sendMessage({ action: 'consumePendingHighlight' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.highlightId) return;
+        if (highlights.some(h => h.id === response.highlightId)) {
+            goToHighlight(response.highlightId);
+        } else {
+            // Made inside an embedded frame; whichever frame has it will scroll to it
+            chrome.runtime.sendMessage({ action: 'relayToTab', message: { action: 'goToHighlight', highlightId: response.highlightId } });
+        }
+    });
+}
+
+/**
+ * Scrolls the page to a specific highlight.
+ * @param {string} highlightId - The ID of the highlight to scroll to.
+ */
+function goToHighlight(highlightId) {
+    const mark = getMarks(highlightId)[0];
+    if (mark) {
+        mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        flashMarks(highlightId);
+        lastVisitedHighlightId = highlightId;
+    } else {
+        showToast('This highlight wasn\'t found on the page. Open the popup to re-attach or delete it.');
+    }
+}
+
+/**
+ * Briefly outlines a highlight's marks so it's easy to spot after scrolling to it.
+ * @param {string} highlightId - The ID of the highlight.
+ */
+function flashMarks(highlightId) {
+    getMarks(highlightId).forEach(mark => {
+        mark.classList.remove('article-highlight-flash');
+        void mark.offsetWidth; // Restart the animation if it's already running
+        mark.classList.add('article-highlight-flash');
+        setTimeout(() => mark.classList.remove('article-highlight-flash'), FLASH_DURATION);
+    });
+}
+
+/**
+ * Scrolls to the next or previous highlight in document order, wrapping around at the ends.
+ * Starts from the last highlight visited, or from the current scroll position.
+ * @param {number} direction - 1 for the next highlight, -1 for the previous one.
+ */
+function goToAdjacentHighlight(direction) {
+    const marks = queryMarks('mark.article-highlight-mark');
+    const orderedIds = [...new Set(marks.map(mark => mark.dataset.highlightId))];
+    if (orderedIds.length === 0) return;
+
+    let index = orderedIds.indexOf(lastVisitedHighlightId);
+    if (index === -1) {
+        // Nothing visited yet: start relative to the first highlight below the top of the viewport
+        const firstBelow = marks.find(mark => mark.getBoundingClientRect().top > 0);
+        index = firstBelow ? orderedIds.indexOf(firstBelow.dataset.highlightId) : orderedIds.length;
+        if (direction > 0) index--;
+    }
+    const nextIndex = (index + direction + orderedIds.length) % orderedIds.length;
+    goToHighlight(orderedIds[nextIndex]);
+}
+
+
+// --- Undo & Redo ---
+
+/**
+ * Records a change to a highlight so it can be undone.
+ * @param {string} type - "create", "delete", "recolor", "edit" or "reattach" (see `OPERATION_LABELS`).
+ * @param {object|null} before - The highlight before the change; null for a creation.
+ * @param {object|null} after - The highlight after the change; null for a deletion.
+ */
+function recordOperation(type, before, after) {
+    undoStack.push({
+        type,
+        highlightId: (before || after).id,
+        before: before && copyHighlight(before),
+        after: after && copyHighlight(after)
+    });
+    if (undoStack.length > MAX_UNDO_OPERATIONS) undoStack.shift();
+    redoStack = [];
+}
+
+/**
+ * Undoes the most recent change.
+ * @returns {boolean} True if there was something to undo.
+ */
+function undo() {
+    const operation = undoStack.pop();
+    if (!operation) return false;
+    restoreHighlightState(operation.highlightId, operation.before);
+    redoStack.push(operation);
+    showToast(`Undone: ${OPERATION_LABELS[operation.type]}`, 'Redo', redo);
+    return true;
+}
+
+/**
+ * Redoes the most recently undone change.
+ * @returns {boolean} True if there was something to redo.
+ */
+function redo() {
+    const operation = redoStack.pop();
+    if (!operation) return false;
+    restoreHighlightState(operation.highlightId, operation.after);
+    undoStack.push(operation);
+    showToast(`Redone: ${OPERATION_LABELS[operation.type]}`, 'Undo', undo);
+    return true;
+}
+
+/**
+ * Puts a highlight back the way it was recorded: removes it, brings it back, or
+ * replaces its fields.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {object|null} state - The recorded highlight, or null if it shouldn't exist.
+ */
+function restoreHighlightState(highlightId, state) {
+    const index = highlights.findIndex(h => h.id === highlightId);
+    if (noteModalEl.dataset.currentHighlightId === highlightId) closeModal();
+    if (!state) {
+        if (index !== -1) removeHighlight(highlightId);
+        return;
+    }
+
+    // A fresh timestamp, so sync treats the restored version as the latest
+    const restored = { ...copyHighlight(state), updatedAt: new Date().toISOString() };
+    if (index === -1) {
+        highlights.push(restored);
+        reapplyHighlights();
+    } else {
+        // Undoing a re-attach moves the highlight back to where it was (or wasn't) found
+        const moved = JSON.stringify(highlights[index].quote) !== JSON.stringify(restored.quote);
+        highlights[index] = restored;
+        if (moved) {
+            unwrapMarks(highlightId);
+            reapplyHighlights();
+        } else {
+            paintMarks(highlightId, restored.color);
+        }
+    }
+    saveHighlights();
+}
+
+/**
+ * Forgets every recorded change, e.g. when the highlights are replaced wholesale.
+ */
+function clearUndoHistory() {
+    undoStack = [];
+    redoStack = [];
+    hideToast();
+}
+
+/**
+ * Makes an independent copy of a highlight, so later edits don't change a recorded version.
+ * @param {object} highlight - The highlight.
+ * @returns {object} The copy.
+ */
+function copyHighlight(highlight) {
+    return JSON.parse(JSON.stringify(highlight));
+}
+
+/**
+ * Handles Ctrl+Z / Cmd+Z (undo) and Ctrl+Shift+Z / Ctrl+Y (redo). Shortcuts typed
+ * into the page's own text fields are left to the browser, and so are shortcuts
+ * when there's nothing of ours to undo.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleUndoShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const key = event.key.toLowerCase();
+    const isUndo = key === 'z' && !event.shiftKey;
+    const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    if (target instanceof Element && (target.isContentEditable || target.closest('input, textarea, select'))) return;
+
+    if (isUndo ? undo() : redo()) event.preventDefault();
+}
+
+/**
+ * Creates the toast that reports a change and offers to undo it.
+ * @returns {HTMLElement} The toast element.
+ */
+function createToastElement() {
+    const toast = document.createElement('div');
+    toast.id = 'article-highlighter-toast';
+    toast.hidden = true; // Screen readers hear its message through `announce`
+    toast.innerHTML = '<span class="toast-message"></span><button class="toast-action"></button>';
+    uiRoot.appendChild(toast);
+
+    toast.querySelector('.toast-action').addEventListener('click', () => {
+        const action = toastAction;
+        hideToast();
+        if (action) action();
+    });
+    return toast;
+}
+
+/**
+ * Shows a message, optionally with a button, for a few seconds.
+ * @param {string} message - The message.
+ * @param {string} [actionLabel] - The button's text; no button if left out.
+ * @param {function} [action] - Called when the button is clicked.
+ */
+function showToast(message, actionLabel, action) {
+    announce(message);
+    toastEl.querySelector('.toast-message').textContent = message;
+    toastEl.querySelector('.toast-action').textContent = actionLabel || '';
+    toastEl.querySelector('.toast-action').hidden = !actionLabel;
+    toastAction = action;
+    toastEl.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
+
+/**
+ * Hides the toast.
+ */
+function hideToast() {
+    clearTimeout(toastTimer);
+    toastEl.hidden = true;
+    toastAction = null;
+}
+
+/**
+ * Creates the hidden live region that tells screen reader users about changes,
+ * such as a highlight being added or deleted.
+ * @returns {HTMLElement} The live region.
+ */
+function createAnnouncerElement() {
+    const el = document.createElement('div');
+    el.id = 'article-highlighter-announcer';
+    el.setAttribute('role', 'status');
+    el.setAttribute('aria-live', 'polite');
+    uiRoot.appendChild(el);
+    return el;
+}
+
+/**
+ * Reads a message out to screen readers without showing it.
+ * @param {string} message - The message.
+ */
+function announce(message) {
+    // Clearing first makes a repeated message count as a change
+    announcerEl.textContent = '';
+    setTimeout(() => {
+        if (announcerEl) announcerEl.textContent = message;
+    }, 50);
+}
+
+
+// --- Share Links ---
+
+/**
+ * Copies a link that opens the page scrolled to a highlight. It points to the top
+ * page, even for highlights in embedded frames.
+ * @param {string} highlightId - The ID of the highlight.
+ */
+function copyHighlightLink(highlightId) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    if (!highlight) return;
+    // Subframes share the top frame's page key, which is its normalized URL
+    const link = createHighlightLink(pageKey.slice('highlights-'.length), highlight);
+    copyText(link)
+        .then(() => showToast('Link to highlight copied'))
+        .catch(() => showToast('Could not copy the link'));
+}
+
+/**
+ * Copies text to the clipboard. Pages that aren't served securely, and frames
+ * without clipboard access, get the older copy command instead.
+ * @param {string} text - The text.
+ * @returns {Promise<void>} Resolves once the text is copied.
+ */
+function copyText(text) {
+    const copyWithCommand = () => {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        uiRoot.appendChild(textarea);
+        textarea.select();
+        const copied = document.execCommand('copy');
+        textarea.remove();
+        if (!copied) throw new Error('The copy command was refused.');
+    };
+    if (!navigator.clipboard || !window.isSecureContext) return Promise.resolve().then(copyWithCommand);
+    return navigator.clipboard.writeText(text).catch(copyWithCommand);
+}
+
+/**
+ * Shows the passage the page's share link points to, if it was opened from one.
+ */
+function showLinkedPassage() {
+    const anchor = parseHighlightLink(window.location.hash);
+    if (!anchor) return;
+    linkedPassage = { anchor, attempts: 0 };
+    revealLinkedPassage(anchor);
+}
+
+/**
+ * Scrolls to a share link's passage and marks it for a moment. The reader may have
+ * no highlights here, so it's found with the anchoring used for saved highlights.
+ * If it isn't on the page yet, later page changes try again; the top frame also
+ * asks the embedded frames.
+ * @param {object|null} anchor - The passage, as read by `parseHighlightLink`.
+ */
+function revealLinkedPassage(anchor) {
+    const match = anchor ? anchorHighlight(anchor) : null;
+    if (match) {
+        linkedPassage = null;
+        flashPassage(match.range);
+        return;
+    }
+    if (!linkedPassage) return; // A single try for a subframe
+    linkedPassage.attempts++;
+    if (linkedPassage.attempts === 1 && isTopFrame) {
+        chrome.runtime.sendMessage({ action: 'relayToTab', message: { action: 'revealLinkedPassage', anchor } });
+    }
+    if (linkedPassage.attempts >= MAX_REANCHOR_ATTEMPTS) linkedPassage = null;
+}
+
+/**
+ * Marks a passage that isn't a highlight, scrolls to it and flashes it, then removes the marks again.
+ * @param {Range} range - The passage.
+ */
+function flashPassage(range) {
+    const root = range.commonAncestorContainer.getRootNode();
+    if (root instanceof ShadowRoot) {
+        addMarkRoot(root);
+    } else {
+        adoptMarkStyles(document);
+    }
+
+    const marks = getTextNodesInRange(range).filter(node => node.data.trim()).map(textNode => {
+        const mark = document.createElement('mark');
+        mark.className = 'article-highlighter-passage article-highlight-flash';
+        textNode.parentNode.insertBefore(mark, textNode);
+        mark.appendChild(textNode);
+        return mark;
+    });
+    discardOwnMutations();
+    if (marks.length === 0) return;
+
+    marks[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => {
+        marks.forEach(unwrapElement);
+        discardOwnMutations();
+        if (!isActive) removeMarkStyles();
+    }, LINKED_PASSAGE_DURATION);
+}
+
+
+// --- Orphan Recovery ---
+//
+// Highlights whose text no longer matches the page are listed in the popup as
+// "not found on page", which offers these ways to place them again.
+
+/**
+ * Finds the passage most like an orphaned highlight, then scrolls to it and flashes
+ * it so the user can decide whether to attach the highlight there.
+ * @param {string} highlightId - The ID of the highlight.
+ * @returns {object} `{ match: { text, overlap, selectors } }`, or `{ error }` if nothing comes close.
+ */
+function showClosestMatch(highlightId) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    const match = highlight && findClosestMatch(highlight);
+    if (!match) return { error: 'Nothing on this page looks like this highlight.' };
+
+    // Described before flashing, as the flash adds marks around the text
+    const selectors = createSelectors(match.range);
+    const text = match.range.toString();
+    flashPassage(match.range);
+    return { match: { text, overlap: match.overlap, selectors } };
+}
+
+/**
+ * Attaches a highlight to a new passage: the one the user has selected, or a match
+ * they confirmed. Its text is updated to the passage's current text.
+ * @param {string} highlightId - The ID of the highlight.
+ * @param {object} [selectors] - The confirmed match from `showClosestMatch`; the selection is used if left out.
+ * @returns {object} `{ success: true }`, or `{ error }` if there's nothing to attach it to.
+ */
+function reattachHighlight(highlightId, selectors) {
+    const highlight = highlights.find(h => h.id === highlightId);
+    if (!highlight) return { error: 'This highlight no longer exists.' };
+
+    let range = null;
+    if (selectors) {
+        // The match may still be flashing; its marks would end up in the stored XPaths
+        queryMarks('mark.article-highlighter-passage').forEach(unwrapElement);
+        const anchor = anchorHighlight({ ...selectors, text: selectors.quote ? selectors.quote.exact : '' });
+        range = anchor && anchor.range;
+        if (!range) return { error: 'The page changed since the match was found. Search again.' };
+    } else {
+        range = getSelectionRange();
+        if (!range || range.toString().trim().length === 0) {
+            return { error: 'Select the passage on the page first, then try again.' };
+        }
+    }
+    const newSelectors = createSelectors(range);
+    if (!newSelectors) return { error: 'That passage is in an element that can\'t be highlighted.' };
+    const text = range.toString();
+
+    // Removing any old marks merges text nodes, so the passage is found again afterwards
+    unwrapMarks(highlightId);
+    const anchor = anchorHighlight({ ...newSelectors, text });
+    if (!anchor) return { error: 'The page changed while re-attaching. Try again.' };
+
+    const before = copyHighlight(highlight);
+    // Selectors from the old place (e.g. a shadow root) mustn't outlive the move
+    ['range', 'position', 'quote', 'shadowPath'].forEach(field => delete highlight[field]);
+    Object.assign(highlight, newSelectors, { text, updatedAt: new Date().toISOString() });
+
+    wrapRangeWithMark(anchor.range, highlightId, highlight.color);
+    discardOwnMutations();
+    orphanedHighlightIds.delete(highlightId);
+    saveHighlights();
+    recordOperation('reattach', before, highlight);
+
+    window.getSelection().removeAllRanges();
+    hideHighlighter();
+    return { success: true };
+}
+
+
+// --- Dynamic Pages ---
+
+/**
+ * Starts watching for client-side route changes and for content that streams in
+ * after load, so highlights follow single-page apps.
+ */
+function watchForPageChanges() {
+    pageObserver = new MutationObserver(schedulePageChangeCheck);
+    pageObserver.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+}
+
+/**
+ * Waits for the page to settle before checking it, so a burst of DOM updates
+ * results in a single pass.
+ */
+function schedulePageChangeCheck() {
+    clearTimeout(pageChangeTimer);
+    pageChangeTimer = setTimeout(handlePageChange, PAGE_SETTLE_DELAY);
+}
+
+/**
+ * Switches highlight sets if the route changed; otherwise applies any highlights
+ * that are missing from the page, e.g. because their text only just loaded or
+ * the app re-rendered the elements they were in.
+ */
+function handlePageChange() {
+    // Subframes follow the top frame's route, which it announces when it changes
+    const currentKey = `highlights-${getCanonicalUrl()}`;
+    if (isTopFrame && currentKey !== pageKey) {
+        switchPage(currentKey);
+        return;
+    }
+    renderMarginNotes(); // The content change may have moved the marks
+    if (linkedPassage) revealLinkedPassage(linkedPassage.anchor); // Its text may just have loaded
+
+    // Marks the app removed are worth looking for again; give up on long-lost highlights eventually
+    const lostMarks = highlights.some(h => !orphanedHighlightIds.has(h.id) && getMarks(h.id).length === 0);
+    if (!lostMarks && (orphanedHighlightIds.size === 0 || reanchorAttempts >= MAX_REANCHOR_ATTEMPTS)) return;
+
+    const applied = reapplyHighlights();
+    reanchorAttempts = applied > 0 ? 0 : reanchorAttempts + 1;
+}
+
+/**
+ * Clears the previous route's highlights and loads the new route's.
+ * @param {string} newKey - The new page key.
+ */
+function switchPage(newKey) {
+    highlights.forEach(highlight => unwrapMarks(highlight.id));
+    highlights = [];
+    orphanedHighlightIds = new Set();
+    frameOrphans = new Map();
+    lastVisitedHighlightId = null;
+    reanchorAttempts = 0;
+    clearUndoHistory();
+    pageKey = newKey;
+    if (isTopFrame) announcePageKey();
+
+    hideHighlighter();
+    closeModal();
+    loadHighlights();
+}
+
+/**
+ * Replaces the highlights on the page with the stored ones, e.g. after a sync.
+ * @param {function} [callback] - Called once the stored highlights are on the page.
+ */
+function reloadHighlights(callback) {
+    highlights.forEach(highlight => unwrapMarks(highlight.id));
+    highlights = [];
+    clearUndoHistory(); // The recorded versions may be out of date now
+    loadHighlights(callback);
+}
+
+/**
+ * Drops the mutation records caused by our own changes to the page (wrapping or
+ * unwrapping marks), so they don't trigger another pass.
+ */
+function discardOwnMutations() {
+    if (pageObserver) pageObserver.takeRecords();
+}
+
+
+// --- Frames ---
+
+/**
+ * Works out where this subframe sits in the tab. Frames with a real URL are known by
+ * it; `about:blank` and `srcdoc` frames share their URL, so their index path is added.
+ * @returns {{key: string, path: Array<number>, url: string}} The frame's identity.
+ */
+function getFrameInfo() {
+    const path = [];
+    for (let win = window; win !== win.top; win = win.parent) {
+        const siblings = win.parent.frames;
+        for (let i = 0; i < siblings.length; i++) {
+            if (siblings[i] === win) {
+                path.unshift(i);
+                break;
+            }
+        }
+    }
+    const url = location.href;
+    return { key: url.startsWith('about:') ? `${url}#${path.join('.')}` : url, path, url };
+}
+
+/**
+ * Gets the hostname the site rules are checked against: the top page's, even in an
+ * embedded frame, so a rule for a site covers the content embedded in it.
+ * @returns {string} The hostname.
+ */
+function getSiteHostname() {
+    const origins = location.ancestorOrigins;
+    if (isTopFrame || !origins || origins.length === 0) return location.hostname;
+    try {
+        return new URL(origins[origins.length - 1]).hostname;
+    } catch (e) {
+        return location.hostname; // An opaque origin, e.g. a sandboxed frame
+    }
+}
+
+/**
+ * Checks whether a stored highlight was made in this frame.
+ * @param {object} highlight - The highlight.
+ * @returns {boolean} True if this frame should anchor it.
+ */
+function belongsToThisFrame(highlight) {
+    return (highlight.frame ? highlight.frame.key : '') === frameKey;
+}
+
+/**
+ * Adopts the top frame's page key, so a subframe's highlights are saved with the
+ * page it's embedded in. If the top frame isn't ready yet, the subframe keeps its
+ * own key until the top frame announces one.
+ * @param {function} callback - Called once the page key is settled.
+ */
+function resolvePageKey(callback) {
+    if (isTopFrame) {
+        announcePageKey();
+        callback();
+        return;
+    }
+    chrome.runtime.sendMessage({ action: 'relayToTab', frameId: 0, message: { action: 'getPageKey' } }, (response) => {
+        if (!chrome.runtime.lastError && response && response.pageKey) pageKey = response.pageKey;
+        callback();
+    });
+}
+
+/**
+ * Tells the tab's subframes which page key to store their highlights under.
+ */
+function announcePageKey() {
+    chrome.runtime.sendMessage({ action: 'relayToTab', message: { action: 'topPageKey', pageKey } });
+}
+
+/**
+ * Tells the top frame which of this subframe's highlights couldn't be anchored,
+ * so the popup can show them.
+ */
+function reportFrameStatus() {
+    chrome.runtime.sendMessage({
+        action: 'relayToTab',
+        frameId: 0,
+        message: { action: 'frameStatus', frameKey, orphanedIds: [...orphanedHighlightIds] }
+    });
+}
+
+/**
+ * Gets every highlight in the tab: this frame's own, plus those saved by its subframes.
+ * @param {function(Array<object>)} callback - Called with the highlights.
+ */
+function getTabHighlights(callback) {
+    chrome.runtime.sendMessage({ action: 'getPageHighlights', pageKey }, (response) => {
+        const stored = normalizeHighlights(!chrome.runtime.lastError && response ? response.highlights : []);
+        callback(highlights.concat(stored.filter(h => !belongsToThisFrame(h))));
+    });
+}
+
+/**
+ * Works out which of the tab's highlights can't be shown, in this frame or any subframe.
+ * @param {Array<object>} tabHighlights - The highlights from `getTabHighlights`.
+ * @returns {Set<string>} The IDs of the orphaned highlights.
+ */
+function getTabOrphanedIds(tabHighlights) {
+    const orphanedIds = new Set(orphanedHighlightIds);
+    frameOrphans.forEach(ids => ids.forEach(id => orphanedIds.add(id)));
+    // Highlights from frames that never reported in (e.g. an embed that's gone) can't be shown either
+    tabHighlights.forEach(h => {
+        if (h.frame && !frameOrphans.has(h.frame.key)) orphanedIds.add(h.id);
+    });
+    return orphanedIds;
+}
+
+
+// --- Sidebar & Margin Notes ---
+
+/**
+ * Creates the collapsible sidebar that lists the tab's highlights with their notes.
+ * It starts hidden; `toggleSidebar` shows it.
+ * @returns {HTMLElement} The sidebar element.
+ */
+function createSidebarElement() {
+    const sidebar = document.createElement('aside');
+    sidebar.id = 'article-highlighter-sidebar';
+    sidebar.hidden = true;
+    sidebar.tabIndex = -1;
+    sidebar.setAttribute('aria-labelledby', 'article-highlighter-sidebar-title');
+    sidebar.innerHTML = `
+        <header>
+            <h2 id="article-highlighter-sidebar-title">Highlights <span class="count"></span></h2>
+            <button class="close-btn" title="Close sidebar" aria-label="Close sidebar">✕</button>
+        </header>
+        <ol class="sidebar-list"></ol>
+        <p class="empty">No highlights on this page yet.</p>
+    `;
+    uiRoot.appendChild(sidebar);
+
+    sidebar.querySelector('.close-btn').addEventListener('click', () => toggleSidebar(false));
+    sidebar.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') toggleSidebar(false);
+    });
+    return sidebar;
+}
+
+/**
+ * Shows or hides the sidebar. Opening it moves focus into it; closing it puts
+ * focus back where it was.
+ * @param {boolean} [open] - True to show it, false to hide it; toggles if omitted.
+ */
+function toggleSidebar(open = sidebarEl.hidden) {
+    if (open === !sidebarEl.hidden) return;
+    if (open) {
+        sidebarReturnFocus = document.activeElement;
+        sidebarEl.hidden = false;
+        renderSidebar();
+        sidebarEl.focus();
+    } else {
+        const hadFocus = sidebarEl.contains(uiRoot.activeElement);
+        sidebarEl.hidden = true;
+        if (hadFocus && sidebarReturnFocus && sidebarReturnFocus.isConnected) sidebarReturnFocus.focus();
+        sidebarReturnFocus = null;
+    }
+}
+
+/**
+ * Re-renders the sidebar if it's open.
+ */
+function refreshSidebar() {
+    if (sidebarEl && !sidebarEl.hidden) renderSidebar();
+}
+
+/**
+ * Fills the sidebar with the tab's highlights in page order: this frame's by where
+ * their marks are, then those that couldn't be placed, then those in embedded frames.
+ */
+function renderSidebar() {
+    getTabHighlights(tabHighlights => {
+        const orphanedIds = getTabOrphanedIds(tabHighlights);
+        const markOrder = [...new Set(queryMarks('mark.article-highlight-mark').map(mark => mark.dataset.highlightId))];
+        const rank = h => {
+            if (!belongsToThisFrame(h)) return markOrder.length + 1;
+            const index = markOrder.indexOf(h.id);
+            return index === -1 ? markOrder.length : index;
+        };
+        const ordered = tabHighlights.slice().sort((a, b) =>
+            rank(a) - rank(b) || (a.position ? a.position.start : 0) - (b.position ? b.position.start : 0));
+
+        const list = sidebarEl.querySelector('.sidebar-list');
+        list.innerHTML = '';
+        ordered.forEach(highlight => list.appendChild(renderSidebarItem(highlight, orphanedIds.has(highlight.id))));
+        sidebarEl.querySelector('.count').textContent = ordered.length > 0 ? `(${ordered.length})` : '';
+        sidebarEl.querySelector('.empty').hidden = ordered.length > 0;
+    });
+}
+
+/**
+ * Builds the sidebar entry for one highlight. Clicking it scrolls to the highlight;
+ * highlights in this frame can also be edited from it.
+ * @param {object} highlight - The highlight.
+ * @param {boolean} isOrphaned - Whether the highlight couldn't be placed on the page.
+ * @returns {HTMLElement} The list item.
+ */
+function renderSidebarItem(highlight, isOrphaned) {
+    const entry = getPaletteEntry(highlight.color);
+    const isOwn = belongsToThisFrame(highlight);
+    const li = document.createElement('li');
+    li.className = 'sidebar-item';
+    li.classList.toggle('orphaned', isOrphaned);
+    li.style.borderLeftColor = entry.color;
+    li.innerHTML = html`
+        <div class="item-header">
+            <span class="item-label">${entry.label}</span>
+            ${isOwn && html`<button class="edit-btn" title="Edit note and tags" aria-label="Edit note and tags">✏️</button>`}
+        </div>
+        <p class="item-text">${highlight.text}</p>
+        ${highlight.note && html`<div class="item-note">${renderMarkdown(highlight.note)}</div>`}
+        ${(highlight.tags || []).length > 0 && html`<div class="item-tags">${highlight.tags.map(tag => html`<span class="tag">${tag}</span>`)}</div>`}
+        ${isOrphaned && html`<p class="item-status">Not found on this page</p>`}
     `;
-    printWindow.document.head.appendChild(style);
+
+    if (isOwn) {
+        li.querySelector('.edit-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            openNoteModal(highlight.id);
+        });
+    }
+    li.addEventListener('click', (e) => {
+        if (isOrphaned || e.target.closest('a')) return;
+        if (isOwn) {
+            goToHighlight(highlight.id);
+        } else {
+            chrome.runtime.sendMessage({ action: 'relayToTab', message: { action: 'goToHighlight', highlightId: highlight.id } });
+        }
+    });
+    if (!isOrphaned) {
+        li.tabIndex = 0;
+        li.title = 'Go to highlight';
+        li.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === li) li.click();
+        });
+    }
+    return li;
+}
+
+/**
+ * Creates the layer that holds the note indicators shown in the margin beside marks.
+ * @returns {HTMLElement} The container element.
+ */
+function createMarginNotesElement() {
+    const el = document.createElement('div');
+    el.id = 'article-highlighter-margin-notes';
+    uiRoot.appendChild(el);
+    return el;
+}
+
+/**
+ * Updates the sidebar and margin notes after highlights were added, changed or removed.
+ */
+function refreshAnnotations() {
+    renderMarginNotes();
+    refreshSidebar();
+}
+
+/**
+ * Repositions the margin notes once the window stops resizing.
+ */
+function scheduleMarginNotesUpdate() {
+    clearTimeout(marginNotesTimer);
+    marginNotesTimer = setTimeout(renderMarginNotes, PAGE_SETTLE_DELAY);
+}
+
+/**
+ * Places an indicator in the margin beside each highlight that has a note.
+ * Clicking one opens the note. Indicators that would overlap are stacked.
+ */
+function renderMarginNotes() {
+    marginNotesEl.innerHTML = '';
+    const placed = [];
+    highlights.forEach(highlight => {
+        if (!highlight.note) return;
+        const mark = getMarks(highlight.id)[0];
+        const position = mark && getMarginPosition(mark);
+        if (position) placed.push({ highlight, ...position });
+    });
+
+    placed.sort((a, b) => a.top - b.top);
+    const columnBottoms = new Map(); // The lowest indicator so far at each horizontal position
+    placed.forEach(({ highlight, top, left }) => {
+        const previousBottom = columnBottoms.get(left);
+        if (previousBottom !== undefined && top < previousBottom) top = previousBottom;
+        columnBottoms.set(left, top + MARGIN_NOTE_SIZE + 2);
+
+        const indicator = document.createElement('button');
+        indicator.className = 'margin-note';
+        indicator.textContent = '✎';
+        indicator.setAttribute('aria-label', 'Open note');
+        indicator.title = highlight.note.length > 200 ? `${highlight.note.slice(0, 200)}…` : highlight.note;
+        indicator.style.top = `${top}px`;
+        indicator.style.left = `${left}px`;
+        indicator.style.backgroundColor = getPaletteEntry(highlight.color).color;
+        indicator.addEventListener('click', () => openNoteModal(highlight.id));
+        marginNotesEl.appendChild(indicator);
+    });
+}
+
+/**
+ * Works out where a mark's margin note goes: just right of the block of text the
+ * mark is in, or just left of it when there's no room on the right.
+ * @param {HTMLElement} mark - The highlight's first mark.
+ * @returns {{top: number, left: number}|null} The position in page coordinates, or null if the mark isn't visible.
+ */
+function getMarginPosition(mark) {
+    const rect = mark.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return null;
+
+    let block = mark.parentElement;
+    while (block && block.parentElement && getComputedStyle(block).display.startsWith('inline')) {
+        block = block.parentElement;
+    }
+    const blockRect = (block || mark).getBoundingClientRect();
+    let left = blockRect.right + MARGIN_NOTE_GAP;
+    if (left + MARGIN_NOTE_SIZE > document.documentElement.clientWidth) {
+        left = Math.max(0, blockRect.left - MARGIN_NOTE_GAP - MARGIN_NOTE_SIZE);
+    }
+    return { top: Math.round(window.scrollY + rect.top), left: Math.round(window.scrollX + left) };
+}
+
+
+// --- Export & Utility Functions ---
+
+/**
+ * Exports the page as a clean reader view: just the article, with the highlights
+ * inline and notes as numbered footnotes. Prints straight away unless the user
+ * asked for a preview first.
+ */
+function prepareForExport() {
+    const clone = document.cloneNode(true);
     
-    printWindow.document.close();
-    printWindow.focus();
-    // Use a timeout to ensure content is rendered before printing
-    setTimeout(() => {
-        printWindow.print();
-        printWindow.close();
-    }, 500);
+    // Remove our UI and the page's styling from the clone, and anything that could
+    // run script once the page's markup is written into the print window
+    clone.querySelectorAll('style, link[rel="stylesheet"], #article-highlighter-root').forEach(el => el.remove());
+    neutralizeElements(clone);
+    const article = extractArticle(clone);
+
+    // Highlights spanning several elements have several marks; only label the last one
+    const lastMarks = new Map();
+    article.content.querySelectorAll('mark.article-highlight-mark').forEach(mark => {
+        const previous = lastMarks.get(mark.dataset.highlightId);
+        if (previous) delete previous.dataset.label;
+        lastMarks.set(mark.dataset.highlightId, mark);
+    });
+
+    // Notes can't sit inside the text, so they're numbered and listed at the end
+    const notes = [];
+    lastMarks.forEach((mark, highlightId) => {
+        const highlight = highlights.find(h => h.id === highlightId);
+        if (!highlight || !highlight.note) return;
+        notes.push(html`<li>${renderMarkdown(highlight.note)}</li>`);
+        const ref = clone.createElement('sup');
+        ref.className = 'note-ref';
+        ref.textContent = `[${notes.length}]`;
+        mark.after(ref);
+    });
+
+    // Highlights the extraction couldn't place in the article are still exported
+    const outside = highlights.filter(h => !lastMarks.has(h.id) && !orphanedHighlightIds.has(h.id));
+    const pageUrl = getCanonicalUrl();
+    const source = isSafeUrl(pageUrl) ? html`<a href="${pageUrl}">${new URL(pageUrl).hostname || pageUrl}</a>` : pageUrl;
+
+    writePrintDocument(html`
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <meta charset="utf-8">
+            <title>${article.title} (Highlights)</title>
+            <style>${trustedHtml(getReaderStyles())}</style>
+        </head>
+        <body>
+            ${previewExports && html`
+                <div class="reader-toolbar">
+                    <span>Preview of your export</span>
+                    <button id="print-btn">Print / Save as PDF</button>
+                    <button id="close-btn">Close</button>
+                </div>
+            `}
+            <article class="reader">
+                <header>
+                    <h1>${article.title}</h1>
+                    <p class="byline">${article.byline && html`${article.byline} · `}${source}</p>
+                </header>
+                ${trustedHtml(article.content.innerHTML)}
+                ${outside.length > 0 && html`
+                    <section class="other-highlights">
+                        <h2>Other highlights on this page</h2>
+                        ${outside.map(h => html`
+                            <blockquote style="border-left-color: ${getPaletteEntry(h.color).color};">${h.text}</blockquote>
+                            ${h.note && html`<div class="note">${renderMarkdown(h.note)}</div>`}
+                        `)}
+                    </section>
+                `}
+                ${notes.length > 0 && html`<section class="print-notes"><h2>Notes</h2><ol>${notes}</ol></section>`}
+            </article>
+        </body>
+        </html>
+    `, { preview: previewExports });
+}
+
+/**
+ * Returns the CSS for the reader-view export.
+ * @returns {string} The stylesheet.
+ */
+function getReaderStyles() {
+    return `
+        body { margin: 0; background-color: #fff; color: #222; }
+        .reader { max-width: 680px; margin: 40px auto; padding: 0 20px; font-family: Georgia, "Times New Roman", serif; font-size: 18px; line-height: 1.6; }
+        .reader header { border-bottom: 1px solid #ddd; margin-bottom: 24px; }
+        .reader h1 { font-size: 32px; line-height: 1.2; margin: 0 0 8px; }
+        .reader h2, .reader h3 { line-height: 1.3; }
+        .byline { color: #777; font-size: 14px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+        .reader a { color: inherit; }
+        .reader img, .reader video { max-width: 100%; height: auto; }
+        .reader pre { white-space: pre-wrap; font-size: 14px; background-color: #f6f6f6; padding: 10px; }
+        .reader blockquote { margin-left: 0; padding-left: 16px; border-left: 3px solid #ddd; color: #444; }
+        .reader table { border-collapse: collapse; }
+        .reader td, .reader th { border: 1px solid #ddd; padding: 4px 8px; }
+        .article-highlight-mark { color: black !important; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .article-highlight-mark[data-label]::after { content: " [" attr(data-label) "]"; font-size: 0.7em; color: #555; }
+        .note-ref { font-size: 0.7em; color: #555; }
+        .other-highlights, .print-notes { border-top: 1px solid #ccc; margin-top: 2em; font-size: 0.9em; }
+        .other-highlights blockquote { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        .note { background-color: #eef7ff; padding: 8px 12px; border-radius: 4px; }
+        .reader-toolbar { position: sticky; top: 0; display: flex; align-items: center; gap: 10px; padding: 10px 20px; background-color: #f4f4f9; border-bottom: 1px solid #ddd; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; font-size: 14px; }
+        .reader-toolbar span { margin-right: auto; color: #555; }
+        .reader-toolbar button { padding: 6px 12px; border: none; border-radius: 5px; cursor: pointer; }
+        #print-btn { background-color: #007aff; color: white; }
+        @media print {
+            .reader-toolbar { display: none; }
+            .reader { margin: 0 auto; }
+        }
+    `;
 }
+
 /**
  * Creates a new document containing only the highlighted text and notes for export.
+ * @param {Array<object>} tabHighlights - The highlights from every frame in the tab.
  */
-function exportHighlightsOnly() {
-    if (highlights.length === 0) {
+function exportHighlightsOnly(tabHighlights) {
+    if (tabHighlights.length === 0) {
         alert("There are no highlights to export.");
         return;
     }
@@ -479,8 +2220,19 @@ function exportHighlightsOnly() {
     const pageTitle = document.title;
     const pageUrl = window.location.href;
 
-    // Build the HTML for the new document
-    let html = `
+    const entries = tabHighlights.map(highlight => {
+        const entry = getPaletteEntry(highlight.color);
+        return html`
+            <div class="highlight-container" style="border-left-color: ${entry.color};">
+                <span class="label" style="background-color: ${entry.color};">${entry.label}</span>
+                <blockquote style="background-color: ${entry.color}4d;">${highlight.text}</blockquote>
+                ${highlight.note && html`<div class="note"><strong>Note:</strong> ${renderMarkdown(highlight.note)}</div>`}
+                ${highlight.tags && highlight.tags.length > 0 && html`<p class="tags">Tags: ${formatTags(highlight.tags)}</p>`}
+            </div>
+        `;
+    });
+
+    writePrintDocument(html`
         <!DOCTYPE html>
         <html>
         <head>
@@ -491,34 +2243,44 @@ function exportHighlightsOnly() {
                 p { color: #555; }
                 a { color: #007aff; text-decoration: none; }
                 .highlight-container { margin-bottom: 30px; padding-left: 20px; border-left: 3px solid #f0f0f0; }
-                blockquote { font-style: italic; color: #333; margin-left: 0; padding: 10px; background-color: #fefcbf4d; border-radius: 4px; }
+                blockquote { font-style: italic; color: #333; margin-left: 0; padding: 10px; background-color: #fefcbf4d; border-radius: 4px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+                .label { display: inline-block; font-size: 0.75em; font-weight: bold; color: #333; padding: 2px 8px; border-radius: 10px; margin-bottom: 6px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
                 .note { background-color: #eef7ff; padding: 10px; border-radius: 4px; font-size: 0.9em; }
+                .note > :first-child { margin-top: 0; }
+                .note > :last-child { margin-bottom: 0; }
+                .tags { color: #888; font-size: 0.8em; }
             </style>
         </head>
         <body>
             <h1>Highlights from: ${pageTitle}</h1>
-            <p><strong>Source:</strong> <a href="${pageUrl}" target="_blank">${pageUrl}</a></p>
+            <p><strong>Source:</strong> ${isSafeUrl(pageUrl) ? html`<a href="${pageUrl}" target="_blank">${pageUrl}</a>` : pageUrl}</p>
             <hr>
-    `;
-
-    highlights.forEach(highlight => {
-        html += `
-            <div class="highlight-container">
-                <blockquote>${highlight.text}</blockquote>
-        `;
-        if (highlight.note) {
-            html += `<p class="note"><strong>Note:</strong> ${highlight.note}</p>`;
-        }
-        html += `</div>`;
-    });
-
-    html += `</body></html>`;
+            ${entries}
+        </body>
+        </html>
+    `);
+}
 
-    // Open a new window and print the content
+/**
+ * Opens a new window with a generated document and prints it.
+ * @param {{toString: function(): string}} markup - The document, built with the `html` template tag.
+ * @param {{preview: boolean}} [options] - Whether to show the document with print and
+ *     close buttons instead of printing it right away.
+ */
+function writePrintDocument(markup, { preview = false } = {}) {
     const printWindow = window.open('', '_blank');
-    printWindow.document.write(html);
+    printWindow.document.write(markup.toString());
     printWindow.document.close();
     printWindow.focus();
+
+    // Our listeners rather than inline handlers, which the page's CSP could block
+    if (preview) {
+        printWindow.document.getElementById('print-btn').addEventListener('click', () => printWindow.print());
+        printWindow.document.getElementById('close-btn').addEventListener('click', () => printWindow.close());
+        return;
+    }
+
+    // Use a timeout to ensure content is rendered before printing
     setTimeout(() => {
         printWindow.print();
         printWindow.close();
@@ -527,20 +2289,158 @@ function exportHighlightsOnly() {
 
 
 /**
- * Gets the canonical URL of the page, falling back to location.href.
+ * Gets the canonical URL of the page, falling back to location.href, normalized
+ * with the user's URL rules so tracking parameters and in-page anchors don't switch
+ * highlight sets. AMP and print versions are usually folded in by their rel=canonical
+ * link, which names the article they are a copy of.
  * @returns {string} The URL to use as a key.
  */
 function getCanonicalUrl() {
     const canonicalLink = document.querySelector('link[rel="canonical"]');
-    return canonicalLink ? canonicalLink.href : window.location.href;
+    return normalizePageUrl(canonicalLink ? canonicalLink.href : window.location.href, urlRules);
+}
+
+/**
+ * Fingerprints the page's text, so its highlights can be found again if it moves to another URL.
+ * @returns {string|null} The fingerprint, or null if the page has too little text.
+ */
+function getPageFingerprint() {
+    return document.body ? getTextFingerprint(buildTextIndex(document.body).text) : null;
+}
+
+/**
+ * Removes the mark styles from the page and its shadow roots, and stops tracking the shadow roots.
+ */
+function removeMarkStyles() {
+    if (markStyleSheet) {
+        markRoots.forEach(root => {
+            root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== markStyleSheet);
+        });
+    }
+    markRoots.clear();
+    markRoots.add(document);
 }
 
 /**
- * Injects the necessary CSS for the UI elements into the page.
+ * Gives the page, or a shadow root we've highlighted inside, the CSS for highlight
+ * marks. It's a constructed stylesheet, adopted once marks are placed there, so no
+ * element is added to the page's own trees; the UI carries its styles inside its
+ * own shadow root.
+ * @param {Document|ShadowRoot} root - Where the marks are.
  */
-function injectStyles() {
+function adoptMarkStyles(root) {
+    if (!markStyleSheet) {
+        markStyleSheet = new CSSStyleSheet();
+        markStyleSheet.replaceSync(`
+            mark.article-highlight-mark {
+                background-color: #fefcbf;
+                color: inherit;
+                cursor: pointer;
+                border-radius: 2px;
+            }
+            mark.article-highlight-mark:focus-visible {
+                outline: 2px solid #005fcc;
+                outline-offset: 1px;
+            }
+            /* Palette colors are pale, so light text (dark pages) would be hard to read on them */
+            @media (prefers-color-scheme: dark) {
+                mark.article-highlight-mark {
+                    color: #1a1a1a !important;
+                }
+            }
+            /* Full-strength colors, black text and an underline, so highlights don't rely on a pale tint */
+            @media (prefers-contrast: more) {
+                mark.article-highlight-mark {
+                    background-color: color-mix(in srgb, var(--article-highlighter-color, #fefcbf), #000 15%) !important;
+                    color: #000 !important;
+                    text-decoration: underline 2px #000;
+                }
+                mark.article-highlight-mark:focus-visible {
+                    outline: 3px solid #000;
+                }
+            }
+            /* Windows High Contrast and other forced color modes drop background colors */
+            @media (forced-colors: active) {
+                mark.article-highlight-mark,
+                mark.article-highlighter-passage {
+                    forced-color-adjust: none;
+                    background-color: Mark !important;
+                    color: MarkText !important;
+                    text-decoration: underline;
+                }
+                mark.article-highlight-mark:focus-visible {
+                    outline: 2px solid Highlight;
+                }
+            }
+            mark.article-highlight-mark.article-highlight-flash {
+                animation: article-highlighter-flash 1.2s ease-out;
+            }
+            mark.article-highlighter-passage {
+                background-color: rgba(255, 149, 0, 0.25);
+                color: inherit;
+                border-radius: 2px;
+                animation: article-highlighter-flash 1.2s ease-out 2;
+            }
+            @keyframes article-highlighter-flash {
+                0%, 40% { box-shadow: 0 0 0 3px rgba(255, 149, 0, 0.9); }
+                100% { box-shadow: 0 0 0 3px rgba(255, 149, 0, 0); }
+            }
+        `);
+    }
+    if (!root.adoptedStyleSheets.includes(markStyleSheet)) {
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, markStyleSheet];
+    }
+}
+
+/**
+ * Creates the host element for all in-page UI and attaches a closed shadow root to it,
+ * so the page's CSS can't restyle our UI and ours can't leak into the page.
+ * @returns {ShadowRoot} The shadow root to build the UI in.
+ */
+function createUiRoot() {
+    const host = document.createElement('div');
+    host.id = 'article-highlighter-root';
+    // Inline and !important so page rules targeting divs can't hide or move the host
+    host.style.cssText = 'all: initial !important; position: absolute !important; top: 0 !important; left: 0 !important; z-index: 2147483647 !important;';
+    const root = host.attachShadow({ mode: 'closed' });
+
     const style = document.createElement('style');
-    style.textContent = `
+    style.textContent = getUiStyles();
+    root.appendChild(style);
+
+    // Keep keystrokes typed into our UI from reaching the page's own shortcut handlers
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+        root.addEventListener(type, (e) => e.stopPropagation());
+    });
+
+    document.documentElement.appendChild(host);
+    return root;
+}
+
+/**
+ * Checks whether an event target is part of our in-page UI. Events from inside
+ * the shadow root are retargeted to its host by the time the page sees them.
+ * @param {EventTarget} target - The event target.
+ * @returns {boolean} True if the target is our UI.
+ */
+function isOwnUi(target) {
+    return target === uiRoot.host;
+}
+
+/**
+ * Returns the CSS for the in-page UI, scoped to its shadow root.
+ * @returns {string} The stylesheet.
+ */
+function getUiStyles() {
+    return `
+        :host {
+            all: initial;
+        }
+        * {
+            box-sizing: border-box;
+            font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+            line-height: 1.4;
+        }
         #article-highlighter-button {
             position: absolute;
             display: none;
@@ -550,14 +2450,57 @@ function injectStyles() {
             border-radius: 5px;
             font-size: 14px;
             cursor: pointer;
-            z-index: 9999999;
             user-select: none;
             box-shadow: 0 2px 5px rgba(0,0,0,0.2);
         }
-        .article-highlight-mark {
-            background-color: #fefcbf;
+        #article-highlighter-button .label {
+            padding: 0;
+            border: none;
+            background: none;
+            color: inherit;
+            font-size: 14px;
+            cursor: pointer;
+        }
+        #article-highlighter-button .palette {
+            margin-left: 6px;
+        }
+        button:focus-visible,
+        summary:focus-visible,
+        #article-highlighter-sidebar .sidebar-item:focus-visible {
+            outline: 2px solid #4c9ffe;
+            outline-offset: 2px;
+        }
+        #article-highlighter-sidebar:focus {
+            outline: none;
+        }
+        #article-highlighter-announcer {
+            position: absolute;
+            width: 1px;
+            height: 1px;
+            overflow: hidden;
+            clip: rect(0 0 0 0);
+            white-space: nowrap;
+        }
+        #article-highlighter-button .swatch,
+        #article-highlighter-note-modal .swatch {
+            display: inline-block;
+            width: 18px;
+            height: 18px;
+            margin: 0 2px;
+            padding: 0;
+            border: 2px solid transparent;
+            border-radius: 50%;
+            vertical-align: middle;
             cursor: pointer;
-            border-radius: 2px;
+        }
+        #article-highlighter-button .swatch:hover {
+            border-color: white;
+        }
+        @media (forced-colors: active) {
+            .swatch {
+                forced-color-adjust: none;
+                border-color: ButtonText;
+            }
         }
         #article-highlighter-note-modal {
             position: fixed;
@@ -569,7 +2512,7 @@ function injectStyles() {
             display: none;
             justify-content: center;
             align-items: center;
-            z-index: 10000000;
+            z-index: 2;
         }
         #article-highlighter-note-modal .modal-content {
             background-color: white;
@@ -583,6 +2526,19 @@ function injectStyles() {
             margin-top: 0;
             color: #333;
         }
+        #article-highlighter-note-modal .color-row {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 10px;
+        }
+        #article-highlighter-note-modal .swatch.selected {
+            border-color: #333;
+        }
+        #article-highlighter-note-modal .color-label {
+            font-size: 13px;
+            color: #555;
+        }
         #article-highlighter-note-modal textarea {
             width: 100%;
             height: 100px;
@@ -593,6 +2549,91 @@ function injectStyles() {
             font-size: 14px;
             resize: vertical;
         }
+        #article-highlighter-note-modal .note-tabs {
+            display: flex;
+            gap: 4px;
+            margin-bottom: 6px;
+        }
+        #article-highlighter-note-modal .tab-btn {
+            padding: 4px 10px;
+            background: none;
+            color: #555;
+            font-size: 13px;
+        }
+        #article-highlighter-note-modal .tab-btn.selected {
+            background-color: #eee;
+            color: #333;
+        }
+        #article-highlighter-note-modal .note-preview {
+            min-height: 100px;
+            max-height: 240px;
+            overflow-y: auto;
+            margin-bottom: 10px;
+            padding: 8px;
+            border: 1px solid #eee;
+            border-radius: 4px;
+            font-size: 14px;
+            line-height: 1.5;
+            color: #333;
+        }
+        #article-highlighter-note-modal [hidden] {
+            display: none;
+        }
+        #article-highlighter-note-modal .note-preview .empty {
+            color: #888;
+        }
+        #article-highlighter-note-modal .note-preview :first-child,
+        #article-highlighter-note-modal .history-note :first-child {
+            margin-top: 0;
+        }
+        #article-highlighter-note-modal pre {
+            background-color: #f4f4f4;
+            padding: 6px;
+            border-radius: 4px;
+            overflow-x: auto;
+        }
+        #article-highlighter-note-modal blockquote {
+            margin: 0 0 8px;
+            padding-left: 10px;
+            border-left: 3px solid #ddd;
+            color: #555;
+        }
+        #article-highlighter-note-modal a {
+            color: #007aff;
+        }
+        #article-highlighter-note-modal .note-history {
+            margin-bottom: 10px;
+            font-size: 13px;
+            color: #555;
+        }
+        #article-highlighter-note-modal .note-history summary {
+            cursor: pointer;
+        }
+        #article-highlighter-note-modal .history-list {
+            max-height: 160px;
+            overflow-y: auto;
+            padding-left: 20px;
+        }
+        #article-highlighter-note-modal .history-list li {
+            margin-bottom: 8px;
+        }
+        #article-highlighter-note-modal .history-note {
+            color: #333;
+        }
+        #article-highlighter-note-modal .restore-btn {
+            margin-left: 8px;
+            padding: 2px 8px;
+            font-size: 12px;
+            background-color: #eee;
+        }
+        #article-highlighter-note-modal .tags-input {
+            width: 100%;
+            margin-bottom: 10px;
+            border: 1px solid #ccc;
+            border-radius: 4px;
+            padding: 8px;
+            font-size: 14px;
+        }
         #article-highlighter-note-modal .modal-actions {
             display: flex;
             justify-content: flex-end;
@@ -615,6 +2656,174 @@ function injectStyles() {
         #article-highlighter-note-modal .cancel-btn {
             background-color: #ccc;
         }
+        #article-highlighter-note-modal .link-btn {
+            background-color: #e2e8f0;
+        }
+        #article-highlighter-sidebar {
+            position: fixed;
+            top: 0;
+            right: 0;
+            width: 320px;
+            max-width: 90vw;
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            background-color: #f4f4f9;
+            color: #333;
+            font-size: 14px;
+            box-shadow: -2px 0 10px rgba(0,0,0,0.15);
+            z-index: 1;
+        }
+        #article-highlighter-sidebar[hidden],
+        #article-highlighter-sidebar [hidden] {
+            display: none;
+        }
+        #article-highlighter-sidebar header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            padding: 12px 15px;
+            border-bottom: 1px solid #ddd;
+        }
+        #article-highlighter-sidebar h2 {
+            margin: 0;
+            font-size: 16px;
+            color: #1a1a1a;
+        }
+        #article-highlighter-sidebar .count {
+            color: #888;
+            font-weight: normal;
+        }
+        #article-highlighter-sidebar button {
+            padding: 2px 6px;
+            border: none;
+            border-radius: 4px;
+            background: none;
+            cursor: pointer;
+            font-size: 14px;
+        }
+        #article-highlighter-sidebar button:hover {
+            background-color: #e0e0e0;
+        }
+        #article-highlighter-sidebar .sidebar-list {
+            flex: 1;
+            overflow-y: auto;
+            margin: 0;
+            padding: 10px;
+            list-style: none;
+        }
+        #article-highlighter-sidebar .sidebar-item {
+            background-color: white;
+            border: 1px solid #e0e0e0;
+            border-left: 5px solid #fefcbf;
+            border-radius: 6px;
+            padding: 10px 12px;
+            margin-bottom: 10px;
+            cursor: pointer;
+        }
+        #article-highlighter-sidebar .sidebar-item:hover {
+            box-shadow: 0 1px 4px rgba(0,0,0,0.1);
+        }
+        #article-highlighter-sidebar .sidebar-item.orphaned {
+            cursor: default;
+            opacity: 0.7;
+        }
+        #article-highlighter-sidebar .item-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+        }
+        #article-highlighter-sidebar .item-label {
+            font-size: 12px;
+            color: #777;
+        }
+        #article-highlighter-sidebar .item-text {
+            margin: 4px 0;
+            font-style: italic;
+            display: -webkit-box;
+            -webkit-line-clamp: 4;
+            -webkit-box-orient: vertical;
+            overflow: hidden;
+        }
+        #article-highlighter-sidebar .item-note {
+            background-color: #eef7ff;
+            border-radius: 4px;
+            padding: 6px 8px;
+            font-size: 13px;
+        }
+        #article-highlighter-sidebar .item-note :first-child {
+            margin-top: 0;
+        }
+        #article-highlighter-sidebar .item-note :last-child {
+            margin-bottom: 0;
+        }
+        #article-highlighter-sidebar .item-note a {
+            color: #007aff;
+        }
+        #article-highlighter-sidebar .item-tags {
+            margin-top: 6px;
+        }
+        #article-highlighter-sidebar .tag {
+            display: inline-block;
+            margin: 0 4px 4px 0;
+            padding: 1px 8px;
+            border-radius: 10px;
+            background-color: #e8e8ee;
+            font-size: 12px;
+        }
+        #article-highlighter-sidebar .item-status {
+            margin: 6px 0 0;
+            font-size: 12px;
+            color: #b00;
+        }
+        #article-highlighter-sidebar .empty {
+            padding: 0 15px;
+            color: #888;
+        }
+        #article-highlighter-toast {
+            position: fixed;
+            bottom: 24px;
+            left: 50%;
+            transform: translateX(-50%);
+            display: flex;
+            align-items: center;
+            gap: 16px;
+            padding: 10px 16px;
+            border-radius: 6px;
+            background-color: #333;
+            color: white;
+            font-size: 14px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.3);
+            z-index: 3;
+        }
+        #article-highlighter-toast[hidden] {
+            display: none;
+        }
+        #article-highlighter-toast .toast-action[hidden] {
+            display: none;
+        }
+        #article-highlighter-toast .toast-action {
+            padding: 0;
+            border: none;
+            background: none;
+            color: #8ab4f8;
+            font-size: 14px;
+            font-weight: bold;
+            cursor: pointer;
+        }
+        #article-highlighter-margin-notes .margin-note {
+            position: absolute;
+            width: 18px;
+            height: 18px;
+            padding: 0;
+            border: 1px solid rgba(0,0,0,0.25);
+            border-radius: 50%;
+            color: #333;
+            font-size: 11px;
+            line-height: 16px;
+            text-align: center;
+            cursor: pointer;
+            box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+        }
     `;
-    document.head.appendChild(style);
-}
\ No newline at end of file
+}
@@ -0,0 +1,538 @@
+// lib/anchoring.js
+
+// --- Anchoring Engine ---
+//
+// A highlight is stored with three independent selectors:
+//   * range    - XPaths to the start/end containers plus offsets (fast, brittle)
+//   * position - character offsets into the page's text content
+//   * quote    - the exact highlighted text plus some prefix/suffix context
+// When re-anchoring we try them in that order and fall back to a fuzzy
+// quote search, so small DOM or text changes don't lose the highlight.
+//
+// Highlights inside open shadow roots also store a `shadowPath`: the XPaths of
+// each shadow host from the document down. All three selectors are then
+// relative to the innermost shadow root instead of the document.
+
+const QUOTE_CONTEXT_LENGTH = 32;
+const FUZZY_MATCH_THRESHOLD = 0.75;
+const MAX_FUZZY_CANDIDATES = 20;
+// Short quotes have one- or two-letter edges that occur all over a page; stop looking after this many
+const MAX_FUZZY_SCANS = 2000;
+const IGNORED_TEXT_SELECTOR = 'script, style, noscript, template, #article-highlighter-root';
+// Share of a highlight's words a passage needs before it's offered as the closest match
+const MIN_CLOSEST_MATCH_OVERLAP = 0.3;
+
+
+// --- Public API ---
+
+/**
+ * Builds every selector we know how to store for a range.
+ * Must be called before the range is wrapped, as wrapping alters the DOM.
+ * @param {Range} range - The range to describe.
+ * @returns {object|null} An object with `range`, `position` and `quote` selectors
+ *     (plus `shadowPath` inside a shadow root), or null.
+ */
+function createSelectors(range) {
+    const root = range.commonAncestorContainer.getRootNode();
+    const shadowPath = root instanceof ShadowRoot ? getShadowPath(root) : null;
+    const xpathSelector = serializeRange(range);
+    const textIndex = buildTextIndex(getTextRoot(root));
+    const start = boundaryToTextOffset(textIndex, range.startContainer, range.startOffset);
+    const end = boundaryToTextOffset(textIndex, range.endContainer, range.endOffset);
+
+    if (!xpathSelector && start === end) return null;
+
+    const selectors = {
+        range: xpathSelector,
+        position: { start, end },
+        quote: {
+            exact: textIndex.text.slice(start, end),
+            prefix: textIndex.text.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+            suffix: textIndex.text.slice(end, end + QUOTE_CONTEXT_LENGTH)
+        }
+    };
+    if (shadowPath) selectors.shadowPath = shadowPath;
+    return selectors;
+}
+
+/**
+ * Tries each anchoring strategy in turn to find a highlight on the page.
+ * @param {object} highlight - The saved highlight.
+ * @returns {{range: Range, strategy: string}|null} The matched range and the strategy used, or null if orphaned.
+ */
+function anchorHighlight(highlight) {
+    const savedText = (highlight.quote ? highlight.quote.exact : highlight.text).trim();
+
+    // Web components may not have been defined (or rendered) yet; we'll be retried later
+    const root = highlight.shadowPath ? resolveShadowPath(highlight.shadowPath) : document;
+    if (!root) return null;
+
+    // 1. XPath: cheap, and exact when the page hasn't changed.
+    if (highlight.range) {
+        try {
+            const range = deserializeRange(highlight.range, root);
+            if (range && textsRoughlyMatch(range.toString().trim(), savedText)) {
+                return { range, strategy: 'xpath' };
+            }
+        } catch (error) {
+            // Stale XPaths often point past the end of a node; fall through.
+        }
+    }
+
+    const textIndex = buildTextIndex(getTextRoot(root));
+
+    // 2. Text position: survives structural changes that keep the text intact.
+    if (highlight.position) {
+        const { start, end } = highlight.position;
+        if (end <= textIndex.text.length && textIndex.text.slice(start, end).trim() === savedText) {
+            const range = textOffsetsToRange(textIndex, start, end);
+            if (range) return { range, strategy: 'position' };
+        }
+    }
+
+    // 3. Text quote: exact match first, then fuzzy.
+    const quote = highlight.quote || { exact: highlight.text, prefix: '', suffix: '' };
+    const hint = highlight.position ? highlight.position.start : null;
+    const match = findQuoteMatch(textIndex.text, quote, hint);
+    if (match) {
+        const range = textOffsetsToRange(textIndex, match.start, match.end);
+        if (range) return { range, strategy: match.fuzzy ? 'fuzzy-quote' : 'quote' };
+    }
+
+    return null;
+}
+
+/**
+ * Looks for the passage most like a highlight that can't be anchored, however much
+ * it has changed, so the user can confirm it. Every run of as many words as the
+ * highlight has is scored by how many of the highlight's words it contains.
+ * @param {object} highlight - The saved highlight.
+ * @returns {{range: Range, overlap: number}|null} The passage and the share of the
+ *     highlight's words it contains (0..1), or null if nothing comes close.
+ */
+function findClosestMatch(highlight) {
+    const root = highlight.shadowPath ? resolveShadowPath(highlight.shadowPath) : document;
+    if (!root) return null;
+    const textIndex = buildTextIndex(getTextRoot(root));
+    const targetWords = getWordMatches(highlight.quote ? highlight.quote.exact : highlight.text);
+    const words = getWordMatches(textIndex.text);
+    const size = targetWords.length;
+    if (size === 0 || words.length < size) return null;
+
+    const wanted = new Map();
+    targetWords.forEach(({ word }) => wanted.set(word, (wanted.get(word) || 0) + 1));
+    const inWindow = new Map();
+    let shared = 0;
+    let best = null;
+    const hint = highlight.position ? highlight.position.start : 0;
+
+    // Slide the window one word at a time, keeping count of the wanted words inside it
+    words.forEach(({ word }, i) => {
+        const count = inWindow.get(word) || 0;
+        if (count < (wanted.get(word) || 0)) shared++;
+        inWindow.set(word, count + 1);
+
+        if (i >= size) {
+            const leaving = words[i - size].word;
+            const left = inWindow.get(leaving) - 1;
+            inWindow.set(leaving, left);
+            if (left < (wanted.get(leaving) || 0)) shared--;
+        }
+        if (i < size - 1) return;
+
+        const start = words[i - size + 1].start;
+        // Ties go to the passage nearest to where the highlight used to be
+        if (!best || shared > best.shared || (shared === best.shared && Math.abs(start - hint) < Math.abs(best.start - hint))) {
+            best = { shared, start, end: words[i].end };
+        }
+    });
+
+    if (best.shared / size < MIN_CLOSEST_MATCH_OVERLAP) return null;
+    const range = textOffsetsToRange(textIndex, best.start, best.end);
+    return range ? { range, overlap: best.shared / size } : null;
+}
+
+/**
+ * Splits text into lowercase words, remembering where each one is.
+ * @param {string} text - The text.
+ * @returns {Array<{word: string, start: number, end: number}>} The words, in order.
+ */
+function getWordMatches(text) {
+    return Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), match => ({
+        word: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+
+// --- Shadow Roots ---
+
+/**
+ * Records how to get from the document to a shadow root: the XPath of each shadow
+ * host, outermost first, each relative to the tree it lives in.
+ * @param {ShadowRoot} shadowRoot - The innermost shadow root.
+ * @returns {Array<string>} The host XPaths.
+ */
+function getShadowPath(shadowRoot) {
+    const path = [];
+    for (let root = shadowRoot; root instanceof ShadowRoot; root = root.host.getRootNode()) {
+        path.unshift(getXPathForElement(root.host));
+    }
+    return path;
+}
+
+/**
+ * Follows a shadow path back to its shadow root. Only open shadow roots can be reached.
+ * @param {Array<string>} shadowPath - The host XPaths from `getShadowPath`.
+ * @returns {ShadowRoot|null} The shadow root, or null if a host is missing or closed.
+ */
+function resolveShadowPath(shadowPath) {
+    let root = document;
+    for (const hostXPath of shadowPath) {
+        const host = resolveXPath(hostXPath, root);
+        if (!host || !host.shadowRoot) return null;
+        root = host.shadowRoot;
+    }
+    return root;
+}
+
+/**
+ * Gets the node whose text a root's position and quote selectors are measured against.
+ * @param {Document|ShadowRoot} root - The document or a shadow root.
+ * @returns {Node} The body for the document, or the shadow root itself.
+ */
+function getTextRoot(root) {
+    return root === document ? document.body : root;
+}
+
+
+// --- Text Index ---
+
+/**
+ * Flattens the text nodes under a root into one string, remembering where each node starts.
+ * Text inside our own UI and non-rendered elements is skipped so offsets stay stable.
+ * @param {Node} root - The root node to index.
+ * @returns {{text: string, nodes: Array<{node: Text, start: number}>}} The text index.
+ */
+function buildTextIndex(root) {
+    const nodes = [];
+    let text = '';
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+            const parent = node.parentElement;
+            if (parent && parent.closest(IGNORED_TEXT_SELECTOR)) return NodeFilter.FILTER_REJECT;
+            return NodeFilter.FILTER_ACCEPT;
+        }
+    });
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        nodes.push({ node, start: text.length });
+        text += node.data;
+    }
+    return { text, nodes };
+}
+
+/**
+ * Converts a DOM boundary point into a character offset within a text index.
+ * @param {object} textIndex - The index from `buildTextIndex`.
+ * @param {Node} container - The boundary container.
+ * @param {number} offset - The boundary offset.
+ * @returns {number} The character offset.
+ */
+function boundaryToTextOffset(textIndex, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+        const entry = textIndex.nodes.find(e => e.node === container);
+        if (entry) return entry.start + offset;
+    }
+
+    // For element boundaries (or ignored text), use the first indexed text node after the point.
+    const point = document.createRange();
+    point.setStart(container, offset);
+    const next = textIndex.nodes.find(e => point.comparePoint(e.node, 0) >= 0);
+    return next ? next.start : textIndex.text.length;
+}
+
+/**
+ * Builds a DOM Range from character offsets within a text index.
+ * @param {object} textIndex - The index from `buildTextIndex`.
+ * @param {number} start - The start offset.
+ * @param {number} end - The end offset.
+ * @returns {Range|null} The range, or null if the offsets are out of bounds.
+ */
+function textOffsetsToRange(textIndex, start, end) {
+    const startEntry = textIndex.nodes.find(e => start >= e.start && start < e.start + e.node.data.length);
+    const endEntry = textIndex.nodes.find(e => end > e.start && end <= e.start + e.node.data.length);
+    if (!startEntry || !endEntry) return null;
+
+    const range = document.createRange();
+    range.setStart(startEntry.node, start - startEntry.start);
+    range.setEnd(endEntry.node, end - endEntry.start);
+    return range;
+}
+
+
+// --- Quote Matching ---
+
+/**
+ * Finds the best location of a text quote, preferring exact matches with matching context.
+ * @param {string} text - The page text.
+ * @param {{exact: string, prefix: string, suffix: string}} quote - The quote selector.
+ * @param {number|null} hint - The expected start offset, used to break ties.
+ * @returns {{start: number, end: number, fuzzy: boolean}|null} The match, or null.
+ */
+function findQuoteMatch(text, quote, hint) {
+    const exact = quote.exact;
+    if (!exact || !exact.trim()) return null;
+
+    let best = null;
+    for (let i = text.indexOf(exact); i !== -1; i = text.indexOf(exact, i + 1)) {
+        const score = scoreCandidate(text, i, i + exact.length, quote, hint);
+        if (!best || score > best.score) best = { start: i, end: i + exact.length, score, fuzzy: false };
+    }
+    if (best) return best;
+
+    return findFuzzyQuoteMatch(text, quote, hint);
+}
+
+/**
+ * Looks for an approximate quote match by locating its head and tail (or its context)
+ * and comparing the text in between.
+ * @param {string} text - The page text.
+ * @param {{exact: string, prefix: string, suffix: string}} quote - The quote selector.
+ * @param {number|null} hint - The expected start offset.
+ * @returns {{start: number, end: number, fuzzy: boolean}|null} The match, or null.
+ */
+function findFuzzyQuoteMatch(text, quote, hint) {
+    const exact = quote.exact;
+    const edgeLength = Math.min(QUOTE_CONTEXT_LENGTH, Math.ceil(exact.length / 3));
+    const maxLength = Math.ceil(exact.length * 1.5) + edgeLength;
+    const candidates = [];
+
+    // Candidates bounded by the start and end of the quote itself.
+    const head = exact.slice(0, edgeLength);
+    const tail = exact.slice(-edgeLength);
+    findBoundedSpans(text, head, tail, maxLength).forEach(({ open, close }) => {
+        candidates.push({ start: open, end: close + tail.length });
+    });
+
+    // Candidates bounded by the surrounding context, for when the quote's own edges changed.
+    if (quote.prefix && quote.suffix) {
+        const spans = findBoundedSpans(text, quote.prefix, quote.suffix, maxLength + quote.prefix.length + quote.suffix.length);
+        spans.slice(0, MAX_FUZZY_CANDIDATES - candidates.length).forEach(({ open, close }) => {
+            candidates.push({ start: open + quote.prefix.length, end: close });
+        });
+    }
+
+    let best = null;
+    candidates.forEach(({ start, end }) => {
+        const similarity = textSimilarity(text.slice(start, end), exact);
+        if (similarity < FUZZY_MATCH_THRESHOLD) return;
+        const score = similarity + scoreCandidate(text, start, end, quote, hint);
+        if (!best || score > best.score) best = { start, end, score, fuzzy: true };
+    });
+    return best;
+}
+
+/**
+ * Finds where an opening string is followed closely by a closing one. The closing
+ * string is only looked for just after each opening, so the cost stays linear in
+ * the page length however often the opening occurs.
+ * @param {string} text - The page text.
+ * @param {string} opening - The string the span starts with.
+ * @param {string} closing - The string the span ends with.
+ * @param {number} maxLength - The longest span, from the opening's start to the closing's end.
+ * @returns {Array<{open: number, close: number}>} Where each span's opening and closing start,
+ *     at most `MAX_FUZZY_CANDIDATES` of them.
+ */
+function findBoundedSpans(text, opening, closing, maxLength) {
+    const spans = [];
+    const lastClose = text.lastIndexOf(closing);
+    let scans = 0;
+    for (let i = text.indexOf(opening); i !== -1 && spans.length < MAX_FUZZY_CANDIDATES; i = text.indexOf(opening, i + 1)) {
+        // No closing string after this point, so no later opening can be closed either
+        if (lastClose < i + opening.length || ++scans > MAX_FUZZY_SCANS) break;
+        const from = i + opening.length;
+        const closeIndex = text.slice(from, i + maxLength).indexOf(closing);
+        if (closeIndex !== -1) spans.push({ open: i, close: from + closeIndex });
+    }
+    return spans;
+}
+
+/**
+ * Scores a candidate match by how well its surrounding context and position agree with the quote.
+ * @returns {number} A score between 0 and 3; higher is better.
+ */
+function scoreCandidate(text, start, end, quote, hint) {
+    const prefix = text.slice(Math.max(0, start - quote.prefix.length), start);
+    const suffix = text.slice(end, end + quote.suffix.length);
+    const prefixScore = quote.prefix ? textSimilarity(prefix, quote.prefix) : 0;
+    const suffixScore = quote.suffix ? textSimilarity(suffix, quote.suffix) : 0;
+    const positionScore = hint === null ? 0 : 1 - Math.min(1, Math.abs(start - hint) / Math.max(text.length, 1));
+    return prefixScore + suffixScore + positionScore;
+}
+
+/**
+ * Returns a 0..1 similarity ratio between two strings based on edit distance.
+ * Long strings are compared on their leading characters only to keep this cheap.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} 1 for identical strings, 0 for completely different ones.
+ */
+function textSimilarity(a, b) {
+    const maxCompared = 500;
+    a = a.replace(/\s+/g, ' ').slice(0, maxCompared);
+    b = b.replace(/\s+/g, ' ').slice(0, maxCompared);
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Checks that the text found at an anchor still roughly matches the saved text.
+ * @returns {boolean} True if one contains the other.
+ */
+function textsRoughlyMatch(currentText, savedText) {
+    return currentText.length > 0 && (currentText.includes(savedText) || savedText.includes(currentText));
+}
+
+
+// --- XPath Serialization / Deserialization ---
+
+/**
+ * Generates an XPath for a given DOM element.
+ * @param {Node} element - The element to generate the path for.
+ * @returns {string} The XPath string.
+ */
+function getXPathForElement(element) {
+    // We only want to generate paths for element nodes
+    if (element.nodeType !== Node.ELEMENT_NODE) {
+        return null;
+    }
+
+    const paths = [];
+    for (; element && element.nodeType === Node.ELEMENT_NODE; element = element.parentNode) {
+        let index = 0;
+        let hasFollowingSibling = false;
+        for (let sibling = element.previousSibling; sibling; sibling = sibling.previousSibling) {
+            if (sibling.nodeName === element.nodeName) {
+                index++;
+            }
+        }
+        for (let sibling = element.nextSibling; sibling && !hasFollowingSibling; sibling = sibling.nextSibling) {
+            if (sibling.nodeName === element.nodeName) {
+                hasFollowingSibling = true;
+            }
+        }
+        const tagName = element.nodeName.toLowerCase();
+        const pathIndex = (index > 0 || hasFollowingSibling) ? `[${index + 1}]` : '';
+        paths.splice(0, 0, tagName + pathIndex);
+    }
+    return paths.length ? '/' + paths.join('/') : null;
+}
+
+/**
+ * Serializes a Range object into a storable format.
+ * @param {Range} range - The range to serialize.
+ * @returns {object|null} A serializable object representing the range.
+ */
+function serializeRange(range) {
+    const startContainer = range.startContainer;
+    const endContainer = range.endContainer;
+
+    const startXPath = getContainerXPath(startContainer);
+    const endXPath = getContainerXPath(endContainer);
+
+    if (!startXPath || !endXPath) return null;
+
+    // For text nodes, we need to know which child it is
+    const startChildIndex = (startContainer.nodeType === Node.TEXT_NODE) ?
+        Array.from(startContainer.parentNode.childNodes).indexOf(startContainer) : -1;
+    const endChildIndex = (endContainer.nodeType === Node.TEXT_NODE) ?
+        Array.from(endContainer.parentNode.childNodes).indexOf(endContainer) : -1;
+
+    return {
+        startXPath,
+        startOffset: range.startOffset,
+        startChildIndex,
+        endXPath,
+        endOffset: range.endOffset,
+        endChildIndex,
+        contextText: range.toString().substring(0, 50) // For fallback
+    };
+}
+
+/**
+ * Gets the XPath `serializeRange` stores for a range boundary's container: the element
+ * itself, or a text node's parent. Text directly inside a shadow root has no parent
+ * element; "/" then stands for the root.
+ * @param {Node} container - The boundary's container.
+ * @returns {string|null} The XPath, or null if the container can't be described.
+ */
+function getContainerXPath(container) {
+    if (container.nodeType !== Node.TEXT_NODE) return getXPathForElement(container);
+    if (container.parentElement) return getXPathForElement(container.parentElement);
+    return container.parentNode instanceof ShadowRoot ? '/' : null;
+}
+
+/**
+ * Deserializes a range object back into a DOM Range.
+ * @param {object} savedRange - The serialized range data.
+ * @param {Document|ShadowRoot} [root] - The tree the XPaths are relative to.
+ * @returns {Range|null} The reconstituted Range object.
+ */
+function deserializeRange(savedRange, root = document) {
+    const range = document.createRange();
+
+    const startNodeParent = resolveXPath(savedRange.startXPath, root);
+    const endNodeParent = resolveXPath(savedRange.endXPath, root);
+
+    if (!startNodeParent || !endNodeParent) {
+        return null; // The position and quote selectors take over from here
+    }
+
+    // If the original node was a text node, find it by its index
+    const startNode = (savedRange.startChildIndex > -1) ? startNodeParent.childNodes[savedRange.startChildIndex] : startNodeParent;
+    const endNode = (savedRange.endChildIndex > -1) ? endNodeParent.childNodes[savedRange.endChildIndex] : endNodeParent;
+
+    if (!startNode || !endNode) {
+        return null;
+    }
+
+    range.setStart(startNode, savedRange.startOffset);
+    range.setEnd(endNode, savedRange.endOffset);
+
+    return range;
+}
+
+/**
+ * Finds the element an XPath from `getXPathForElement` points to. Works from a shadow
+ * root as well as the document, which `document.evaluate` can't do.
+ * @param {string} xpath - A path of `tag` or `tag[n]` steps, e.g. "/html/body/div[2]/p",
+ *     or "/" for a shadow root itself.
+ * @param {Document|ShadowRoot} root - The tree to resolve it in.
+ * @returns {Element|ShadowRoot|null} The element, or null if the path no longer exists.
+ */
+function resolveXPath(xpath, root) {
+    let node = root;
+    for (const step of xpath.split('/').filter(Boolean)) {
+        const match = /^([^[\]]+)(?:\[(\d+)\])?$/.exec(step);
+        if (!match) return null;
+        const tagName = match[1];
+        const index = match[2] ? Number(match[2]) : 1;
+        node = Array.from(node.children).filter(child => child.nodeName.toLowerCase() === tagName)[index - 1];
+        if (!node) return null;
+    }
+    if (node === root) return xpath === '/' && root instanceof ShadowRoot ? root : null;
+    return node;
+}
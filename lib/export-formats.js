@@ -0,0 +1,120 @@
+// lib/export-formats.js
+
+// --- Text Export Formats ---
+//
+// Turns a page's highlights into Markdown, JSON or plain text for pasting into
+// note-taking apps or feeding to scripts. Shared by the popup and extension pages,
+// which must load lib/tags.js first.
+
+const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', build: buildMarkdownExport },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: buildJsonExport },
+    text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain', build: buildPlainTextExport }
+};
+
+/**
+ * Formats a page's highlights for export.
+ * @param {string} format - One of the keys of `EXPORT_FORMATS`.
+ * @param {{url: string, title: string}} page - The page the highlights are from.
+ * @param {Array<object>} highlights - The highlights, in the order they should appear.
+ * @param {Array<object>} palette - The user's palette, for color labels.
+ * @returns {{content: string, mimeType: string, filename: string}} The export.
+ */
+function formatHighlights(format, page, highlights, palette) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+    const entries = highlights.map(highlight => {
+        const entry = palette.find(p => p.id === highlight.color) || palette[0];
+        return { ...highlight, label: entry ? entry.label : '' };
+    });
+    return {
+        content: spec.build(page, entries, new Date().toISOString()),
+        mimeType: spec.mimeType,
+        filename: `${slugify(page.title || 'highlights')}-highlights.${spec.extension}`
+    };
+}
+
+/**
+ * Builds a Markdown document with YAML front-matter, one blockquote per highlight.
+ * @returns {string} The Markdown.
+ */
+function buildMarkdownExport(page, entries, exportedAt) {
+    // JSON strings are valid double-quoted YAML scalars, so this is safe for any title
+    const lines = [
+        '---',
+        `title: ${JSON.stringify(page.title || '')}`,
+        `source: ${JSON.stringify(page.url)}`,
+        `exported: ${exportedAt}`,
+        '---',
+        '',
+        `# ${page.title || page.url}`,
+        ''
+    ];
+
+    entries.forEach(entry => {
+        entry.text.trim().split('\n').forEach(line => lines.push(`> ${line}`));
+        if (entry.label) lines.push(`> — *${entry.label}*`);
+        lines.push('');
+        if (entry.tags && entry.tags.length) {
+            lines.push(`Tags: ${formatTags(entry.tags)}`, '');
+        }
+        if (entry.note) {
+            lines.push(entry.note.trim(), '');
+        }
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Builds a structured JSON document of the highlights.
+ * @returns {string} The JSON.
+ */
+function buildJsonExport(page, entries, exportedAt) {
+    return JSON.stringify({
+        title: page.title,
+        url: page.url,
+        exportedAt,
+        highlights: entries.map(entry => ({
+            id: entry.id,
+            text: entry.text,
+            note: entry.note || '',
+            color: entry.color,
+            label: entry.label,
+            tags: entry.tags || [],
+            createdAt: entry.createdAt
+        }))
+    }, null, 2);
+}
+
+/**
+ * Builds a plain-text document of the highlights.
+ * @returns {string} The text.
+ */
+function buildPlainTextExport(page, entries) {
+    const lines = [page.title || page.url, page.url, ''];
+    entries.forEach(entry => {
+        lines.push(`"${entry.text.trim()}"${entry.label ? ` [${entry.label}]` : ''}`);
+        if (entry.tags && entry.tags.length) {
+            lines.push(`    Tags: ${formatTags(entry.tags)}`);
+        }
+        if (entry.note) {
+            entry.note.trim().split('\n').forEach(line => lines.push(`    ${line}`));
+        }
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Turns a title into something safe to use in a filename.
+ * @param {string} title - The title.
+ * @returns {string} The slug.
+ */
+function slugify(title) {
+    return title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60) || 'highlights';
+}
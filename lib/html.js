@@ -0,0 +1,93 @@
+// lib/html.js
+
+// --- HTML Templating ---
+//
+// Everything we build as an HTML string (print documents, rendered notes) goes
+// through here. The `html` tag escapes every interpolated value unless it's
+// already-safe markup from another `html` template, `trustedHtml` or `renderMarkdown`.
+// Shared by the content script and the extension pages.
+
+// URLs with any other protocol (javascript:, data:, ...) are never turned into links
+const SAFE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'file:'];
+
+// Marks objects holding markup that must not be escaped again
+const SAFE_HTML = Symbol('safe-html');
+
+/**
+ * Template tag that escapes every interpolated value. Arrays are joined, and
+ * null, undefined and false render as nothing, so conditionals and lists read naturally:
+ *   html`<ul>${items.map(item => html`<li>${item.text}</li>`)}</ul>`
+ * @param {Array<string>} strings - The literal parts of the template.
+ * @param {...*} values - The interpolated values.
+ * @returns {{toString: function(): string}} The markup, marked safe.
+ */
+function html(strings, ...values) {
+    return trustedHtml(strings.reduce((markup, string, i) => markup + toHtml(values[i - 1]) + string));
+}
+
+/**
+ * Marks markup as safe without escaping it. Only for markup we generated ourselves
+ * from escaped input. The result converts back to the markup string, so it can be
+ * assigned to `innerHTML` directly.
+ * @param {string} markup - The markup.
+ * @returns {{toString: function(): string}} The markup, marked safe.
+ */
+function trustedHtml(markup) {
+    return { [SAFE_HTML]: markup, toString: () => markup };
+}
+
+/**
+ * Converts an interpolated value to markup, escaping it unless it's already safe.
+ * @param {*} value - The value.
+ * @returns {string} The markup.
+ */
+function toHtml(value) {
+    if (value && typeof value === 'object' && SAFE_HTML in value) return value[SAFE_HTML];
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+/**
+ * Escapes text for use in HTML content or a quoted attribute.
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Checks whether a URL is safe to use as a link target.
+ * @param {string} url - The URL, unescaped.
+ * @returns {boolean} True for absolute URLs with an allowed protocol.
+ */
+function isSafeUrl(url) {
+    try {
+        return SAFE_URL_PROTOCOLS.includes(new URL(url).protocol);
+    } catch (e) {
+        return false; // Relative or malformed
+    }
+}
+
+/**
+ * Makes an element tree inert so it can be shown in another document: removes
+ * scripts, embedded content, inline event handlers and script URLs.
+ * @param {Element|Document} root - The tree to clean, modified in place.
+ */
+function neutralizeElements(root) {
+    root.querySelectorAll('script, iframe, frame, object, embed, base, meta[http-equiv]').forEach(el => el.remove());
+    root.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attribute => {
+            const name = attribute.name.toLowerCase();
+            const isScriptUrl = ['href', 'src', 'action', 'formaction', 'xlink:href'].includes(name) &&
+                /^\s*(javascript|vbscript|data):/i.test(attribute.value) && !/^\s*data:image\//i.test(attribute.value);
+            if (name.startsWith('on') || isScriptUrl || name === 'srcdoc') el.removeAttribute(attribute.name);
+        });
+    });
+}
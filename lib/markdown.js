@@ -0,0 +1,118 @@
+// lib/markdown.js
+
+// --- Markdown Notes ---
+//
+// A small Markdown renderer for notes, covering what people write in annotations:
+// paragraphs, headings, emphasis, inline code, code blocks, lists, blockquotes and
+// links. All text is escaped before any markup is added, so a note can never
+// inject HTML. Shared by the content script and the extension pages, which must
+// load lib/html.js first.
+
+/**
+ * Renders a Markdown note to HTML.
+ * @param {string} source - The note.
+ * @returns {{toString: function(): string}} The markup, marked safe for `html` templates.
+ */
+function renderMarkdown(source) {
+    const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+        } else if (/^\s*```/.test(line)) {
+            const code = [];
+            for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) code.push(lines[i]);
+            i++; // Skip the closing fence
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+        } else if (/^#{1,6}\s/.test(line)) {
+            // Notes sit under other headings, so even "#" stays small
+            const level = Math.min(line.match(/^#+/)[0].length, 3) + 3;
+            blocks.push(`<h${level}>${renderInline(line.replace(/^#+\s+/, ''))}</h${level}>`);
+            i++;
+        } else if (/^\s*>/.test(line)) {
+            const quoted = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+            blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'))}</blockquote>`);
+        } else if (getListType(line)) {
+            const type = getListType(line);
+            const items = [];
+            for (; i < lines.length && getListType(lines[i]) === type; i++) {
+                items.push(`<li>${renderInline(lines[i].replace(/^\s*(?:[-*+]|\d+[.)])\s+/, ''))}</li>`);
+            }
+            blocks.push(`<${type}>${items.join('')}</${type}>`);
+        } else {
+            const paragraph = [];
+            for (; i < lines.length && lines[i].trim() && !startsBlock(lines[i]); i++) paragraph.push(renderInline(lines[i]));
+            blocks.push(`<p>${paragraph.join('<br>')}</p>`);
+        }
+    }
+    return trustedHtml(blocks.join(''));
+}
+
+/**
+ * Works out whether a line is a list item, and which kind.
+ * @param {string} line - The line.
+ * @returns {string|null} "ul", "ol", or null if the line isn't a list item.
+ */
+function getListType(line) {
+    if (/^\s*[-*+]\s+/.test(line)) return 'ul';
+    if (/^\s*\d+[.)]\s+/.test(line)) return 'ol';
+    return null;
+}
+
+/**
+ * Checks whether a line starts a block other than a paragraph.
+ * @param {string} line - The line.
+ * @returns {boolean} True for fences, headings, blockquotes and list items.
+ */
+function startsBlock(line) {
+    return /^\s*```/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || Boolean(getListType(line));
+}
+
+/**
+ * Renders inline Markdown: code spans, links, bold, italic and strikethrough.
+ * @param {string} text - One line of text.
+ * @returns {string} Safe HTML.
+ */
+function renderInline(text) {
+    // Code spans are split out first so nothing inside them is formatted
+    return text.split(/(`[^`]+`)/).map((part, index) => {
+        if (index % 2 === 1) return `<code>${escapeHtml(part.slice(1, -1))}</code>`;
+        // Links are set aside while the rest is formatted, so emphasis can't reach into
+        // their URLs or markup; \0 can't occur in the escaped text around them
+        const links = [];
+        const html = escapeHtml(part.replace(/\0/g, ''))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                links.push(renderLink(formatEmphasis(label), url));
+                return `\0${links.length - 1}\0`;
+            });
+        return formatEmphasis(html).replace(/\0(\d+)\0/g, (match, i) => links[i]);
+    }).join('');
+}
+
+/**
+ * Applies bold, italic and strikethrough to escaped text.
+ * @param {string} html - Escaped text without links or code.
+ * @returns {string} The formatted HTML.
+ */
+function formatEmphasis(html) {
+    return html
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*(.+?)\*|(^|\W)_(.+?)_(?=\W|$)/g, (match, a, before, b) => (a ? `<em>${a}</em>` : `${before}<em>${b}</em>`))
+        .replace(/~~(.+?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Renders a link, or just its label if the URL isn't one we allow.
+ * @param {string} label - The escaped link text.
+ * @param {string} url - The escaped URL.
+ * @returns {string} Safe HTML.
+ */
+function renderLink(label, url) {
+    if (!isSafeUrl(url.replace(/&amp;/g, '&'))) return label;
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
@@ -0,0 +1,211 @@
+// lib/page-identity.js
+
+// --- Page Identity ---
+//
+// Highlights are stored per page, keyed by the page's URL. The same article is often
+// reached through several URLs: with tracking parameters from a shared link, with an
+// #anchor, or as its AMP, print or mobile version. `normalizePageUrl` maps those to one
+// URL, following two settings the user can change in Options:
+//   ignoredUrlParams: ["utm_*", "fbclid", ...]  dropped from the query ("*" matches any ending)
+//   mergeUrlVariants: true                       AMP, print and mobile versions count as the page itself
+// Only unambiguous variant URLs are folded here: a path like /products/print may be a
+// page of its own. Other versions are merged when the page itself says which article
+// it is a copy of, through its rel=canonical link (see the content script's `getCanonicalUrl`).
+// A page that has moved to a new URL is recognized by a fingerprint of its text
+// (`getTextFingerprint`), stored with its highlights. Shared by the content script,
+// the background worker and the extension pages.
+
+const DEFAULT_IGNORED_URL_PARAMS = [
+    'utm_*', 'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url', 'spm', 'vero_id'
+];
+// Query parameters that switch to an AMP or print version, with the values that do so
+const VARIANT_PARAMS = { amp: ['', '1'], outputType: ['amp'], view: ['print'], output: ['print'] };
+// Leading subdomains that serve another version of the same site, e.g. m.example.com
+const VARIANT_HOST_LABELS = ['m', 'mobile'];
+// Proxies that serve a copy of another site's AMP page under their own URL
+const AMP_PROXY_PATTERN = /^\/(?:amp|c|v|wp)\/(?:s\/)?([^/]+\.[^/]+)(\/.*)?$/;
+const AMP_PROXY_HOST_PATTERN = /(^|\.)cdn\.ampproject\.org$|^(www\.)?google\.[a-z.]+$/;
+
+const FINGERPRINT_MIN_WORDS = 50; // Shorter texts match too easily to tell pages apart
+const FINGERPRINT_MAX_WORDS = 20000;
+// How many of the fingerprint's 64 bits may differ for two texts to count as the same page
+const FINGERPRINT_MAX_DISTANCE = 6;
+
+
+// --- URL Normalization ---
+
+/**
+ * Maps the URLs a page can be reached through to the one its highlights are stored under.
+ * In-page anchors (#section) are dropped, but hash routes used by single-page apps
+ * (#/path, #!/path) are kept.
+ * @param {string} url - The page's URL.
+ * @param {{ignoredUrlParams: Array<string>, mergeUrlVariants: boolean}} [rules] - The user's settings; defaults apply if left out.
+ * @returns {string} The normalized URL, or the input if it isn't a URL.
+ */
+function normalizePageUrl(url, rules = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return url;
+    }
+    if (parsed.hash && !/^#!?\//.test(parsed.hash)) parsed.hash = '';
+    if (!/^https?:$/.test(parsed.protocol)) return parsed.href;
+
+    const mergeVariants = rules.mergeUrlVariants !== false;
+    const ignoredParams = Array.isArray(rules.ignoredUrlParams) ? rules.ignoredUrlParams : DEFAULT_IGNORED_URL_PARAMS;
+    if (mergeVariants) parsed = getProxiedUrl(parsed) || parsed;
+
+    // Only rewrite the query when something goes, so other parameters keep their exact encoding
+    const params = new URLSearchParams(parsed.search);
+    const dropped = Array.from(params).filter(([name, value]) =>
+        isIgnoredParam(name, ignoredParams) || (mergeVariants && isVariantParam(name, value)));
+    if (dropped.length > 0) {
+        dropped.forEach(([name]) => params.delete(name));
+        parsed.search = params.toString();
+    }
+
+    if (mergeVariants) {
+        // Only a leading label, and only if a domain is left: shop.m.example.com and m.com stay as they are
+        const labels = parsed.hostname.split('.');
+        if (VARIANT_HOST_LABELS.includes(labels[0]) && labels.length >= 3) parsed.hostname = labels.slice(1).join('.');
+        parsed.pathname = parsed.pathname.replace(/\.amp(\.html?)$/i, '$1');
+    }
+    return parsed.href;
+}
+
+/**
+ * Gets the original URL of a page served through an AMP cache or viewer, such as
+ * https://example-com.cdn.ampproject.org/c/s/example.com/story.
+ * @param {URL} url - The URL.
+ * @returns {URL|null} The original page's URL, or null if the URL isn't a proxied copy.
+ */
+function getProxiedUrl(url) {
+    if (!AMP_PROXY_HOST_PATTERN.test(url.hostname)) return null;
+    const match = url.pathname.match(AMP_PROXY_PATTERN);
+    if (!match) return null;
+    try {
+        return new URL(`https://${match[1]}${match[2] || '/'}${url.search}`);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Checks a query parameter against the ignored list.
+ * @param {string} name - The parameter's name.
+ * @param {Array<string>} patterns - Parameter names; a trailing "*" matches any ending.
+ * @returns {boolean} True if the parameter should be dropped.
+ */
+function isIgnoredParam(name, patterns) {
+    const lower = name.toLowerCase();
+    return patterns.some(pattern => (pattern.endsWith('*')
+        ? lower.startsWith(pattern.slice(0, -1).toLowerCase())
+        : lower === pattern.toLowerCase()));
+}
+
+/**
+ * Checks whether a query parameter only switches to an AMP or print version.
+ * @param {string} name - The parameter's name.
+ * @param {string} value - Its value.
+ * @returns {boolean} True for variant parameters.
+ */
+function isVariantParam(name, value) {
+    if (!Object.prototype.hasOwnProperty.call(VARIANT_PARAMS, name)) return false;
+    return VARIANT_PARAMS[name].includes(value.toLowerCase());
+}
+
+/**
+ * Parses the ignored-parameter list as typed into Options: one name per line or separated by commas.
+ * @param {string} text - The typed list.
+ * @returns {Array<string>} The parameter names.
+ */
+function parseIgnoredParams(text) {
+    return Array.from(new Set(text.split(/[\s,]+/).map(name => name.trim()).filter(Boolean)));
+}
+
+
+// --- Content Fingerprints ---
+
+/**
+ * Computes a fingerprint of a page's text that changes only a little when the text
+ * does (a SimHash over three-word shingles). Pages whose fingerprints are close
+ * have nearly the same text.
+ * @param {string} text - The page's text.
+ * @returns {string|null} 16 hex digits, or null if the text is too short to tell pages apart.
+ */
+function getTextFingerprint(text) {
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, FINGERPRINT_MAX_WORDS);
+    if (words.length < FINGERPRINT_MIN_WORDS) return null;
+
+    const weights = new Array(64).fill(0);
+    for (let i = 0; i + 3 <= words.length; i++) {
+        const hash = hashString(words.slice(i, i + 3).join(' '));
+        // Two differently mixed 32-bit hashes make up the 64 bits
+        [mixHash(hash), mixHash(hash ^ 0x9e3779b9)].forEach((half, h) => {
+            for (let bit = 0; bit < 32; bit++) weights[h * 32 + bit] += (half >>> bit) & 1 ? 1 : -1;
+        });
+    }
+
+    let fingerprint = '';
+    for (let h = 0; h < 2; h++) {
+        let half = 0;
+        for (let bit = 0; bit < 32; bit++) {
+            if (weights[h * 32 + bit] > 0) half |= 1 << bit;
+        }
+        fingerprint += (half >>> 0).toString(16).padStart(8, '0');
+    }
+    return fingerprint;
+}
+
+/**
+ * Checks whether two fingerprints come from nearly the same text.
+ * @param {string} a - One fingerprint.
+ * @param {string} b - The other.
+ * @returns {boolean} True if they're within `FINGERPRINT_MAX_DISTANCE` bits of each other.
+ */
+function isSameContent(a, b) {
+    if (!isFingerprint(a) || !isFingerprint(b)) return false;
+    let distance = 0;
+    for (let i = 0; i < 16; i += 8) {
+        let diff = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        for (; diff; diff &= diff - 1) distance++;
+    }
+    return distance <= FINGERPRINT_MAX_DISTANCE;
+}
+
+/**
+ * @returns {boolean} True if a value looks like a fingerprint from `getTextFingerprint`.
+ */
+function isFingerprint(value) {
+    return typeof value === 'string' && /^[0-9a-f]{16}$/.test(value);
+}
+
+/**
+ * Hashes a string to 32 bits (FNV-1a).
+ * @param {string} text - The string.
+ * @returns {number} The hash.
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Scrambles a 32-bit hash so each input bit affects every output bit (MurmurHash3's finalizer).
+ * @param {number} hash - The hash.
+ * @returns {number} The mixed hash.
+ */
+function mixHash(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
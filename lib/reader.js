@@ -0,0 +1,290 @@
+// lib/reader.js
+
+// --- Article Extraction ---
+//
+// Finds the main article in a page for the reader-view export, in the spirit of
+// Readability: paragraphs score points for their length and punctuation, pass
+// them up to their containers, and the best-scoring container (plus any related
+// siblings) becomes the article. Navigation, ads, cookie banners and other
+// clutter are dropped. Elements holding highlight marks are always kept, so no
+// highlight disappears from the export. Used by the content script.
+
+// Class and ID fragments that suggest an element isn't part of the article. "ad" and
+// "header" only count as whole words, so "lead-paragraph", "thread", "uploads" and
+// "subheader" don't.
+const UNLIKELY_CANDIDATE_PATTERN = /-ad-|(^|[\s_-])(ad(s|vert)?|advertisement|header)([\s_-]|$)|agegate|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|legends|menu|modal|nav|newsletter|pager|pagination|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|widget/i;
+// ...unless they also suggest the opposite
+const MAYBE_CANDIDATE_PATTERN = /and|article|body|column|content|main|post|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /comment|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|shoutbox|sidebar|sponsor|shopping|tags|tool|widget/i;
+
+// Always removed: page furniture and anything interactive
+const CLUTTER_SELECTOR = 'nav, aside, footer, form, button, input, select, textarea, dialog, iframe, object, embed, canvas, noscript, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]';
+// The elements whose text we score
+const SCORED_SELECTOR = 'p, pre, td, blockquote, li, h2, h3';
+const MIN_PARAGRAPH_LENGTH = 25;
+// Below this much text, the extraction probably failed and the whole page is used instead
+const MIN_ARTICLE_LENGTH = 250;
+const MARK_SELECTOR = 'mark.article-highlight-mark';
+
+/**
+ * Extracts the main article from a document.
+ * @param {Document} doc - The document to extract from. It is modified, so pass a clone.
+ * @returns {{title: string, byline: string, content: Element, isFallback: boolean}} The article.
+ *     `isFallback` is true when no article could be found and `content` is the whole body.
+ */
+function extractArticle(doc) {
+    const title = getArticleTitle(doc);
+    const byline = getByline(doc);
+    const body = doc.body || doc.documentElement;
+
+    removeClutter(body);
+    const scores = scoreContainers(body);
+    const candidate = getTopCandidate(scores);
+    const content = candidate ? gatherArticle(candidate, scores) : null;
+
+    if (!content || getInnerText(content).length < MIN_ARTICLE_LENGTH) {
+        cleanArticle(body);
+        return { title, byline, content: body, isFallback: true };
+    }
+    cleanArticle(content);
+
+    // The reader view shows the title itself
+    const heading = content.querySelector('h1, h2');
+    if (heading && getInnerText(heading) === title && !heading.querySelector(MARK_SELECTOR)) heading.remove();
+    return { title, byline, content, isFallback: false };
+}
+
+/**
+ * Picks the article title, preferring Open Graph data and the page's main heading
+ * over the document title, which usually carries the site name.
+ * @param {Document} doc - The document.
+ * @returns {string} The title.
+ */
+function getArticleTitle(doc) {
+    const ogTitle = doc.querySelector('meta[property="og:title"]');
+    if (ogTitle && ogTitle.content.trim()) return ogTitle.content.trim();
+    const headings = doc.querySelectorAll('h1');
+    if (headings.length === 1 && getInnerText(headings[0])) return getInnerText(headings[0]);
+    return doc.title;
+}
+
+/**
+ * Finds the article's author, if the page says.
+ * @param {Document} doc - The document.
+ * @returns {string} The byline, or an empty string.
+ */
+function getByline(doc) {
+    const meta = doc.querySelector('meta[name="author"], meta[property="article:author"]');
+    if (meta && meta.content && !/^https?:/.test(meta.content)) return meta.content.trim();
+    const el = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+    const text = el ? getInnerText(el) : '';
+    return text.length < 100 ? text : '';
+}
+
+/**
+ * Removes page furniture and elements whose class or ID marks them as clutter.
+ * @param {Element} root - The element to clean, modified in place.
+ */
+function removeClutter(root) {
+    root.querySelectorAll(CLUTTER_SELECTOR).forEach(el => removeUnlessHighlighted(el));
+    root.querySelectorAll('*').forEach(el => {
+        if (!root.contains(el)) return; // Already removed with an ancestor
+        if (el.matches('article, main, ' + MARK_SELECTOR)) return;
+        const matchString = getMatchString(el);
+        if (UNLIKELY_CANDIDATE_PATTERN.test(matchString) && !MAYBE_CANDIDATE_PATTERN.test(matchString)) {
+            removeUnlessHighlighted(el);
+        }
+    });
+}
+
+/**
+ * Scores every container by the paragraphs inside it. Each paragraph gives points
+ * for its length and commas to its parent, and half as many to its grandparent.
+ * @param {Element} root - The element to search.
+ * @returns {Map<Element, number>} Each container's score, adjusted for link density.
+ */
+function scoreContainers(root) {
+    const scores = new Map();
+    const addScore = (el, points) => {
+        if (!el || !root.contains(el)) return;
+        if (!scores.has(el)) scores.set(el, getInitialScore(el));
+        scores.set(el, scores.get(el) + points);
+    };
+
+    root.querySelectorAll(SCORED_SELECTOR).forEach(paragraph => {
+        const text = getInnerText(paragraph);
+        if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+        const commas = text.split(/[,，、]/).length - 1;
+        const points = 1 + commas + Math.min(Math.floor(text.length / 100), 3);
+        addScore(paragraph.parentElement, points);
+        if (paragraph.parentElement) addScore(paragraph.parentElement.parentElement, points / 2);
+    });
+
+    // Link lists (menus, tag clouds) score well on length, so penalize links
+    scores.forEach((score, el) => scores.set(el, score * (1 - getLinkDensity(el))));
+    return scores;
+}
+
+/**
+ * Picks the best-scoring container.
+ * @param {Map<Element, number>} scores - The scores from `scoreContainers`.
+ * @returns {Element|null} The most article-like element, or null if nothing scored.
+ */
+function getTopCandidate(scores) {
+    let top = null;
+    scores.forEach((score, el) => {
+        if (score > 0 && (!top || score > scores.get(top))) top = el;
+    });
+    return top;
+}
+
+/**
+ * Gives a container its starting score from its tag and its class and ID.
+ * @param {Element} el - The element.
+ * @returns {number} The initial score.
+ */
+function getInitialScore(el) {
+    let score = 0;
+    switch (el.tagName) {
+        case 'ARTICLE':
+        case 'MAIN':
+            score += 10;
+            break;
+        case 'DIV':
+        case 'SECTION':
+            score += 5;
+            break;
+        case 'PRE':
+        case 'TD':
+        case 'BLOCKQUOTE':
+            score += 3;
+            break;
+        case 'OL':
+        case 'UL':
+        case 'DL':
+        case 'DD':
+        case 'DT':
+        case 'LI':
+            score -= 3;
+            break;
+        case 'H1':
+        case 'H2':
+        case 'H3':
+        case 'H4':
+        case 'H5':
+        case 'H6':
+        case 'TH':
+            score -= 5;
+            break;
+    }
+    const matchString = getMatchString(el);
+    if (NEGATIVE_PATTERN.test(matchString)) score -= 25;
+    if (POSITIVE_PATTERN.test(matchString)) score += 25;
+    if (el.getAttribute('itemprop') === 'articleBody') score += 25;
+    return score;
+}
+
+/**
+ * Builds the article from the top candidate and any siblings that look like they
+ * belong with it, such as a lead image or a continuation of the text.
+ * @param {Element} candidate - The top candidate.
+ * @param {Map<Element, number>} scores - The scores from `scoreContainers`.
+ * @returns {Element} A new element holding the article.
+ */
+function gatherArticle(candidate, scores) {
+    const article = candidate.ownerDocument.createElement('div');
+    const parent = candidate.parentElement;
+    if (!parent) {
+        article.appendChild(candidate);
+        return article;
+    }
+
+    const threshold = Math.max(10, scores.get(candidate) * 0.2);
+    Array.from(parent.children).forEach(sibling => {
+        let keep = sibling === candidate || (scores.get(sibling) || 0) >= threshold;
+        if (!keep && sibling.tagName === 'P') {
+            const text = getInnerText(sibling);
+            const linkDensity = getLinkDensity(sibling);
+            keep = (text.length > 80 && linkDensity < 0.25) || (text.length > 0 && linkDensity === 0 && /\.( |$)/.test(text));
+        }
+        // A highlight next to the article is part of what the reader cares about
+        if (!keep && sibling.querySelector(MARK_SELECTOR)) keep = true;
+        if (keep) article.appendChild(sibling);
+    });
+    return article;
+}
+
+/**
+ * Tidies the extracted article: drops leftover link lists and empty blocks, and
+ * strips the page's classes and inline styles so the reader stylesheet applies.
+ * Highlight marks keep their styling.
+ * @param {Element} content - The article, modified in place.
+ */
+function cleanArticle(content) {
+    content.querySelectorAll('div, section, ul, ol, table').forEach(el => {
+        if (!content.contains(el)) return; // Already removed with an ancestor
+        const text = getInnerText(el);
+        const hasMedia = el.querySelector('img, picture, video, figure, pre, table');
+        if ((!text && !hasMedia) || (getLinkDensity(el) > 0.5 && text.length < 200)) removeUnlessHighlighted(el);
+    });
+    // The reader view is a separate document, so links and images need absolute URLs
+    content.querySelectorAll('picture source').forEach(source => source.remove());
+    content.querySelectorAll('img').forEach(img => {
+        const lazySrc = img.getAttribute('data-src');
+        const src = img.getAttribute('src');
+        if (lazySrc && (!src || src.startsWith('data:'))) img.setAttribute('src', lazySrc);
+        if (img.getAttribute('src')) img.setAttribute('src', img.src);
+        img.removeAttribute('srcset');
+        img.removeAttribute('loading');
+    });
+    content.querySelectorAll('a[href]').forEach(a => a.setAttribute('href', a.href));
+
+    [content, ...content.querySelectorAll('*')].forEach(el => {
+        if (el.matches(MARK_SELECTOR)) return;
+        el.removeAttribute('style');
+        el.removeAttribute('class');
+        el.removeAttribute('id');
+        el.removeAttribute('width');
+        el.removeAttribute('height');
+    });
+}
+
+/**
+ * Removes an element unless it contains a highlight.
+ * @param {Element} el - The element.
+ */
+function removeUnlessHighlighted(el) {
+    if (!el.matches(MARK_SELECTOR) && !el.querySelector(MARK_SELECTOR)) el.remove();
+}
+
+/**
+ * Gets the class and ID of an element as one string, for matching against patterns.
+ * @param {Element} el - The element.
+ * @returns {string} The class and ID.
+ */
+function getMatchString(el) {
+    return `${el.getAttribute('class') || ''} ${el.id}`;
+}
+
+/**
+ * Gets an element's text with whitespace collapsed.
+ * @param {Element} el - The element.
+ * @returns {string} The text.
+ */
+function getInnerText(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Works out how much of an element's text is link text.
+ * @param {Element} el - The element.
+ * @returns {number} A ratio from 0 (no links) to 1 (all links).
+ */
+function getLinkDensity(el) {
+    const length = getInnerText(el).length;
+    if (!length) return 0;
+    const linkLength = Array.from(el.querySelectorAll('a')).reduce((total, a) => total + getInnerText(a).length, 0);
+    return Math.min(linkLength / length, 1);
+}
@@ -0,0 +1,105 @@
+// lib/review.js
+
+// --- Review Schedule ---
+//
+// Review mode brings highlights back on a spaced-repetition schedule (a variant of
+// SM-2). Each reviewed highlight keeps its schedule in a `review` field:
+//   { due, interval, ease, repetitions, lapses, startedAt, reviewedAt }
+// `interval` is in days and `ease` multiplies it after each successful recall.
+// Highlights with `excludeFromReview: true` never come up. Shared by the
+// background worker and the review page.
+
+const REVIEW_GRADES = ['again', 'hard', 'good', 'easy'];
+// SM-2 rates recall from 0 to 5; below 3 counts as forgotten
+const GRADE_QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+// Later intervals grow more slowly after "hard" and faster after "easy"
+const HARD_INTERVAL_FACTOR = 1.2;
+const EASY_BONUS = 1.3;
+// How many highlights that have never been reviewed join the queue each day
+const NEW_REVIEWS_PER_DAY = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Works out a highlight's next schedule after it was graded.
+ * @param {object|undefined} review - The current schedule; undefined for a first review.
+ * @param {string} grade - "again", "hard", "good" or "easy".
+ * @param {Date} [now] - When the review happened.
+ * @returns {object} The new schedule.
+ */
+function scheduleReview(review, grade, now = new Date()) {
+    const current = review || { interval: 0, ease: INITIAL_EASE, repetitions: 0, lapses: 0, startedAt: now.toISOString() };
+    const quality = GRADE_QUALITY[grade];
+    const ease = Math.max(MIN_EASE, current.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    const recalled = quality >= 3;
+    const interval = getNextInterval(current, grade);
+    return {
+        due: new Date(now.getTime() + interval * DAY_MS).toISOString(),
+        interval,
+        ease: Math.round(ease * 100) / 100,
+        repetitions: recalled ? current.repetitions + 1 : 0,
+        lapses: recalled ? current.lapses : current.lapses + 1,
+        startedAt: current.startedAt,
+        reviewedAt: now.toISOString()
+    };
+}
+
+/**
+ * Gets how many days a grade would put off a highlight's next review.
+ * @param {object|undefined} review - The current schedule; undefined for a first review.
+ * @param {string} grade - "again", "hard", "good" or "easy".
+ * @returns {number} The interval in days.
+ */
+function getNextInterval(review, grade) {
+    const repetitions = review ? review.repetitions : 0;
+    if (GRADE_QUALITY[grade] < 3) return 1; // Forgotten: start over tomorrow
+    if (repetitions === 0) return grade === 'easy' ? 4 : 1;
+    if (repetitions === 1) return grade === 'hard' ? 3 : (grade === 'easy' ? 8 : 6);
+
+    if (grade === 'hard') return Math.max(review.interval + 1, Math.round(review.interval * HARD_INTERVAL_FACTOR));
+    const interval = Math.round(review.interval * review.ease * (grade === 'easy' ? EASY_BONUS : 1));
+    return Math.max(review.interval + 1, interval);
+}
+
+/**
+ * Builds today's review queue: highlights that are due, most overdue first, then up
+ * to `NEW_REVIEWS_PER_DAY` that have never been reviewed, oldest first. New
+ * highlights already started today count against the limit.
+ * @param {Array<object>} pages - Page records from `getAllPages`.
+ * @param {Date} [now] - The current time.
+ * @returns {Array<{pageKey: string, url: string, title: string, highlight: object}>} The queue.
+ */
+function buildReviewQueue(pages, now = new Date()) {
+    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const startOfDay = endOfDay - DAY_MS;
+    const entries = [].concat(...pages.map(page => page.highlights
+        .filter(highlight => !highlight.excludeFromReview && highlight.text.trim())
+        .map(highlight => ({ pageKey: page.pageKey, url: page.url, title: page.title, highlight }))));
+
+    const due = entries
+        .filter(entry => entry.highlight.review && Date.parse(entry.highlight.review.due) < endOfDay)
+        .sort((a, b) => Date.parse(a.highlight.review.due) - Date.parse(b.highlight.review.due));
+    const startedToday = entries.filter(entry => entry.highlight.review &&
+        Date.parse(entry.highlight.review.startedAt) >= startOfDay).length;
+    const fresh = entries
+        .filter(entry => !entry.highlight.review)
+        .sort((a, b) => Date.parse(a.highlight.createdAt) - Date.parse(b.highlight.createdAt))
+        .slice(0, Math.max(0, NEW_REVIEWS_PER_DAY - startedToday));
+    return due.concat(fresh);
+}
+
+/**
+ * Finds when the next highlight after today's comes up for review.
+ * @param {Array<object>} pages - Page records from `getAllPages`.
+ * @param {Date} [now] - The current time.
+ * @returns {string|null} The earliest due date after today, or null if nothing is scheduled.
+ */
+function getNextReviewDate(pages, now = new Date()) {
+    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime();
+    const dates = [].concat(...pages.map(page => page.highlights))
+        .filter(highlight => highlight.review && !highlight.excludeFromReview && Date.parse(highlight.review.due) >= endOfDay)
+        .map(highlight => highlight.review.due)
+        .sort();
+    return dates.length > 0 ? dates[0] : null;
+}
@@ -0,0 +1,175 @@
+// lib/schema.js
+
+// --- Highlight Schema ---
+//
+// Stored highlights can come from older versions, backup files or other tools, so
+// nothing read back from storage is trusted. `normalizeHighlight` rebuilds each
+// highlight from the fields we know, with the types we expect. A highlight missing
+// its ID or text is rejected; a damaged selector is dropped so the others can
+// still anchor it. Shared by the content script and the background worker.
+
+const MAX_ID_LENGTH = 200;
+// IDs end up in attribute values and CSS selectors, so they're kept to plain characters
+const ID_PATTERN = /^[\w-]+$/;
+const MAX_TAGS = 50;
+const XPATH_PATTERN = /^(\/[a-z][\w.:-]*(\[\d+\])?)+$|^\/$/i; // "/" is a shadow root itself
+
+/**
+ * Validates and cleans a stored highlight.
+ * @param {*} value - The highlight as stored.
+ * @returns {object|null} A highlight with only known, well-typed fields, or null if it's unusable.
+ */
+function normalizeHighlight(value) {
+    if (!isPlainObject(value)) return null;
+    if (!isNonEmptyString(value.id) || value.id.length > MAX_ID_LENGTH || !ID_PATTERN.test(value.id)) return null;
+    if (typeof value.text !== 'string') return null;
+
+    const highlight = {
+        id: value.id,
+        text: value.text,
+        note: typeof value.note === 'string' ? value.note : '',
+        color: isNonEmptyString(value.color) ? value.color : undefined,
+        createdAt: isDateString(value.createdAt) ? value.createdAt : new Date(0).toISOString()
+    };
+    if (isDateString(value.updatedAt)) highlight.updatedAt = value.updatedAt;
+
+    if (Array.isArray(value.tags)) {
+        highlight.tags = value.tags.filter(isNonEmptyString).slice(0, MAX_TAGS);
+    }
+    if (Array.isArray(value.noteHistory)) {
+        highlight.noteHistory = value.noteHistory
+            .filter(version => isPlainObject(version) && typeof version.note === 'string' && isDateString(version.updatedAt))
+            .map(version => ({ note: version.note, updatedAt: version.updatedAt }));
+    }
+    const review = normalizeReview(value.review);
+    if (review) highlight.review = review;
+    if (value.excludeFromReview === true) highlight.excludeFromReview = true;
+
+    const range = normalizeRangeSelector(value.range);
+    if (range) highlight.range = range;
+    if (isPlainObject(value.position) && isOffset(value.position.start) && isOffset(value.position.end) &&
+        value.position.end >= value.position.start) {
+        highlight.position = { start: value.position.start, end: value.position.end };
+    }
+    if (isPlainObject(value.quote) && typeof value.quote.exact === 'string') {
+        highlight.quote = {
+            exact: value.quote.exact,
+            prefix: typeof value.quote.prefix === 'string' ? value.quote.prefix : '',
+            suffix: typeof value.quote.suffix === 'string' ? value.quote.suffix : ''
+        };
+    }
+    if (Array.isArray(value.shadowPath)) {
+        // Without its full path the highlight would anchor in the wrong tree
+        if (!value.shadowPath.every(isXPath)) return null;
+        highlight.shadowPath = value.shadowPath.slice();
+    }
+    if (value.frame !== undefined) {
+        if (!isPlainObject(value.frame) || !isNonEmptyString(value.frame.key)) return null;
+        highlight.frame = {
+            key: value.frame.key,
+            path: Array.isArray(value.frame.path) ? value.frame.path.filter(isOffset) : [],
+            url: typeof value.frame.url === 'string' ? value.frame.url : ''
+        };
+    }
+    return highlight;
+}
+
+/**
+ * Validates and cleans a list of stored highlights, dropping unusable ones and repeated IDs.
+ * @param {*} value - The list as stored.
+ * @returns {Array<object>} The usable highlights.
+ */
+function normalizeHighlights(value) {
+    if (!Array.isArray(value)) return [];
+    const seen = new Set();
+    return value.map(normalizeHighlight).filter(highlight => {
+        if (!highlight || seen.has(highlight.id)) return false;
+        seen.add(highlight.id);
+        return true;
+    });
+}
+
+/**
+ * Validates and cleans the list of deleted highlights kept in a page record.
+ * @param {*} value - The list as stored.
+ * @returns {Array<{id: string, deletedAt: string}>} The usable entries.
+ */
+function normalizeTombstones(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter(tombstone => isPlainObject(tombstone) && isNonEmptyString(tombstone.id) && isDateString(tombstone.deletedAt))
+        .map(tombstone => ({ id: tombstone.id, deletedAt: tombstone.deletedAt }));
+}
+
+/**
+ * Validates an XPath range selector from `serializeRange`.
+ * @param {*} value - The stored selector.
+ * @returns {object|null} The cleaned selector, or null if it's missing or damaged.
+ */
+function normalizeRangeSelector(value) {
+    if (!isPlainObject(value) || !isXPath(value.startXPath) || !isXPath(value.endXPath)) return null;
+    if (!isOffset(value.startOffset) || !isOffset(value.endOffset)) return null;
+    return {
+        startXPath: value.startXPath,
+        startOffset: value.startOffset,
+        startChildIndex: Number.isInteger(value.startChildIndex) ? value.startChildIndex : -1,
+        endXPath: value.endXPath,
+        endOffset: value.endOffset,
+        endChildIndex: Number.isInteger(value.endChildIndex) ? value.endChildIndex : -1,
+        contextText: typeof value.contextText === 'string' ? value.contextText : ''
+    };
+}
+
+/**
+ * Validates a highlight's review schedule from `scheduleReview`.
+ * @param {*} value - The stored schedule.
+ * @returns {object|null} The cleaned schedule, or null if it's missing or damaged.
+ */
+function normalizeReview(value) {
+    if (!isPlainObject(value) || !isDateString(value.due)) return null;
+    if (!(typeof value.interval === 'number' && value.interval >= 0) || !(typeof value.ease === 'number' && value.ease > 0)) return null;
+    return {
+        due: value.due,
+        interval: value.interval,
+        ease: value.ease,
+        repetitions: isOffset(value.repetitions) ? value.repetitions : 0,
+        lapses: isOffset(value.lapses) ? value.lapses : 0,
+        startedAt: isDateString(value.startedAt) ? value.startedAt : new Date(0).toISOString(),
+        reviewedAt: isDateString(value.reviewedAt) ? value.reviewedAt : new Date(0).toISOString()
+    };
+}
+
+/**
+ * @returns {boolean} True for objects other than arrays and null.
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @returns {boolean} True for strings with at least one character.
+ */
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * @returns {boolean} True for strings that parse as a date.
+ */
+function isDateString(value) {
+    return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * @returns {boolean} True for non-negative integers.
+ */
+function isOffset(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * @returns {boolean} True for paths in the form `getXPathForElement` produces.
+ */
+function isXPath(value) {
+    return typeof value === 'string' && XPATH_PATTERN.test(value);
+}
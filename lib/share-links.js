@@ -0,0 +1,79 @@
+// lib/share-links.js
+
+// --- Share Links ---
+//
+// A link to a highlight is the page's URL plus a fragment that finds the passage again:
+//   https://example.com/article#ah=<anchor>:~:text=<text fragment>
+// `ah` carries the highlight's selectors (see lib/anchoring.js) as base64url-encoded
+// JSON, for readers who have the extension. The text fragment after `:~:` is a web
+// standard, so browsers without the extension still scroll to and mark the passage.
+// Browsers hide everything from `:~:` on from `location.hash`, which leaves ours.
+// Shared by the content script and the popup; `parseHighlightLink` needs lib/schema.js.
+
+const SHARE_FRAGMENT_PREFIX = '#ah=';
+// Stands in for the ID of a passage that isn't one of the reader's own highlights
+const LINKED_PASSAGE_ID = 'linked-passage';
+// Longer passages go in the text fragment as their first and last few words
+const TEXT_FRAGMENT_MAX_WORDS = 8;
+const ANCHOR_FIELDS = ['text', 'range', 'position', 'quote', 'shadowPath'];
+
+/**
+ * Builds a link that opens a page scrolled to one of its highlights.
+ * @param {string} pageUrl - The page's URL.
+ * @param {object} highlight - The highlight.
+ * @returns {string} The link.
+ */
+function createHighlightLink(pageUrl, highlight) {
+    const directive = `:~:text=${getTextFragment(highlight.quote ? highlight.quote.exact : highlight.text)}`;
+    const url = new URL(pageUrl);
+    // A single-page app's hash route already fills the fragment; only the text fragment can follow it
+    if (url.hash) return url.href + directive;
+    return `${url.href}${SHARE_FRAGMENT_PREFIX}${encodeAnchor(highlight)}${directive}`;
+}
+
+/**
+ * Reads the passage a share link points to from a URL fragment.
+ * @param {string} hash - The fragment, e.g. `location.hash`.
+ * @returns {object|null} A highlight-shaped anchor for `anchorHighlight`, or null if there isn't a valid one.
+ */
+function parseHighlightLink(hash) {
+    if (!hash.startsWith(SHARE_FRAGMENT_PREFIX)) return null;
+    try {
+        const base64 = hash.slice(SHARE_FRAGMENT_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        const anchor = JSON.parse(new TextDecoder().decode(bytes));
+        // Links come from anywhere, so they're checked like stored highlights
+        return normalizeHighlight({ ...anchor, id: LINKED_PASSAGE_ID });
+    } catch (e) {
+        return null; // Cut off or edited by hand
+    }
+}
+
+/**
+ * Encodes the parts of a highlight that locate it as base64url JSON.
+ * @param {object} highlight - The highlight.
+ * @returns {string} The encoded anchor.
+ */
+function encodeAnchor(highlight) {
+    const anchor = {};
+    ANCHOR_FIELDS.forEach(field => {
+        if (highlight[field] !== undefined) anchor[field] = highlight[field];
+    });
+    const bytes = new TextEncoder().encode(JSON.stringify(anchor));
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Builds the `text=` value of a text fragment for a passage.
+ * @param {string} text - The passage's text.
+ * @returns {string} The encoded value: the whole text, or its first and last words as `start,end`.
+ */
+function getTextFragment(text) {
+    // Commas, ampersands and dashes have a meaning in text fragments, so they're escaped too
+    const encode = words => encodeURIComponent(words.join(' ')).replace(/-/g, '%2D');
+    const words = text.trim().split(/\s+/);
+    if (words.length <= TEXT_FRAGMENT_MAX_WORDS) return encode(words);
+    const half = TEXT_FRAGMENT_MAX_WORDS / 2;
+    return `${encode(words.slice(0, half))},${encode(words.slice(-half))}`;
+}
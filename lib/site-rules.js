@@ -0,0 +1,48 @@
+// lib/site-rules.js
+
+// --- Site Rules ---
+//
+// Per-site rules decide where the highlighter runs. The settings map hostnames to a mode:
+//   siteRules: { "mail.example.com": "disabled", "example.org": "on-click" }
+// "enabled" runs as usual, "disabled" adds nothing to the page, and "on-click" waits
+// until the toolbar icon is clicked. A rule for a domain also covers its subdomains,
+// unless they have a rule of their own; other sites follow `defaultSiteMode`.
+// Shared by the content script, the background worker and the extension pages.
+
+const SITE_MODES = {
+    enabled: 'Enabled',
+    disabled: 'Disabled',
+    'on-click': 'Only when I click the toolbar icon'
+};
+
+/**
+ * Works out which mode applies to a site.
+ * @param {{siteRules: object, defaultSiteMode: string}} settings - The user's settings.
+ * @param {string} hostname - The site's hostname, e.g. "app.example.com".
+ * @returns {string} "enabled", "disabled" or "on-click".
+ */
+function getSiteMode(settings, hostname) {
+    const rules = settings.siteRules || {};
+    let host = normalizeHostname(hostname);
+    while (host) {
+        if (SITE_MODES[rules[host]]) return rules[host];
+        host = host.includes('.') ? host.slice(host.indexOf('.') + 1) : '';
+    }
+    return SITE_MODES[settings.defaultSiteMode] ? settings.defaultSiteMode : 'enabled';
+}
+
+/**
+ * Turns what the user typed (a hostname or a whole URL) into the hostname a rule is stored under.
+ * A leading "www." is dropped, so the rule covers the whole site.
+ * @param {string} input - e.g. "https://www.example.com/inbox" or "example.com".
+ * @returns {string} The hostname, e.g. "example.com", or an empty string if there isn't one.
+ */
+function normalizeHostname(input) {
+    const text = (input || '').trim().toLowerCase();
+    if (!text) return '';
+    try {
+        return new URL(text.includes('://') ? text : `http://${text}`).hostname.replace(/^www\./, '');
+    } catch (e) {
+        return '';
+    }
+}
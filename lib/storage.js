@@ -0,0 +1,560 @@
+// lib/storage.js
+
+// --- Storage Layer ---
+//
+// Highlights live in chrome.storage.local, one record per page:
+//   "highlights-<url>": { url, title, updatedAt, fingerprint, highlights: [...], deleted: [...] }
+// The URL is normalized (see lib/page-identity.js), so a page's variants share a record.
+// The key format matches what older versions wrote to each page's localStorage,
+// so migrated data keeps its key. `deleted` lists recently deleted highlights
+// ({ id, deletedAt }) so sync can pass deletions on to other browsers, and
+// `fingerprint` identifies the page's text if it moves. Only the background worker
+// should call these, after loading lib/schema.js, lib/site-rules.js, lib/page-identity.js
+// and lib/review.js.
+
+const PAGE_KEY_PREFIX = 'highlights-';
+// How long a deletion is remembered, in ms. A browser that stays offline longer may bring the highlight back.
+const TOMBSTONE_LIFETIME = 90 * 24 * 60 * 60 * 1000;
+
+let storageQueue = Promise.resolve();
+
+/**
+ * Runs a read-modify-write task after every previously queued task has finished,
+ * so concurrent messages can't overwrite each other's changes.
+ * @param {function(): Promise<*>} task - The task to run.
+ * @returns {Promise<*>} The task's result.
+ */
+function withStorageLock(task) {
+    const result = storageQueue.then(task);
+    storageQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Checks whether a storage key holds a page record.
+ * @param {string} key - The storage key.
+ * @returns {boolean} True for page keys.
+ */
+function isPageKey(key) {
+    return typeof key === 'string' && key.startsWith(PAGE_KEY_PREFIX);
+}
+
+/**
+ * Gets the stored record for a page.
+ * @param {string} pageKey - The page key.
+ * @returns {Promise<object|null>} The page record, or null if the page has no highlights.
+ */
+async function getPageRecord(pageKey) {
+    const items = await chrome.storage.local.get(pageKey);
+    return items[pageKey] || null;
+}
+
+/**
+ * Gets the highlights stored for a page. Malformed entries are left out.
+ * @param {string} pageKey - The page key.
+ * @returns {Promise<Array<object>>} The page's highlights.
+ */
+async function getPageHighlights(pageKey) {
+    const record = await getPageRecord(pageKey);
+    return record ? normalizeHighlights(record.highlights) : [];
+}
+
+/**
+ * Merges one frame's highlights into a page's record and records the ones it deleted.
+ * Stored highlights missing from the list aren't deleted: they may have been made
+ * in another frame or tab, or brought in by sync after this one loaded.
+ * @param {string} pageKey - The page key.
+ * @param {Array<object>} highlights - The frame's full list of highlights.
+ * @param {Array<string>} deletedIds - Highlights the frame deleted since it last saved.
+ * @param {{url: string, title: string, fingerprint: string}} meta - Details of the page, shown in the library.
+ *     Subframes leave these out, and the stored ones are kept.
+ * @returns {Promise<void>}
+ */
+function savePageHighlights(pageKey, highlights, deletedIds, meta) {
+    return withStorageLock(async () => {
+        const record = await getPageRecord(pageKey);
+        const stored = record ? normalizeHighlights(record.highlights) : [];
+        const now = new Date().toISOString();
+
+        const deleted = normalizeTombstones(record && record.deleted).concat(
+            deletedIds.filter(id => typeof id === 'string').map(id => ({ id, deletedAt: now }))
+        );
+
+        // Sync may have brought in a newer copy since the frame loaded its highlights
+        const byId = new Map(stored.map(h => [h.id, h]));
+        normalizeHighlights(highlights).forEach(h => {
+            const current = byId.get(h.id);
+            if (!current || getModifiedTime(h) >= getModifiedTime(current)) byId.set(h.id, h);
+        });
+
+        await writePageRecord(pageKey, {
+            url: meta.url || (record ? record.url : pageKey.slice(PAGE_KEY_PREFIX.length)),
+            title: meta.title !== undefined ? meta.title : (record ? record.title : ''),
+            ...getFingerprintField(meta.fingerprint || (record && record.fingerprint)),
+            updatedAt: now,
+            ...applyTombstones(Array.from(byId.values()), deleted)
+        });
+    });
+}
+
+/**
+ * Writes a page record, dropping expired deletions. Records
+ * left with no highlights and no recent deletions are removed.
+ * @param {string} pageKey - The page key.
+ * @param {object} record - The page record.
+ * @returns {Promise<void>}
+ */
+async function writePageRecord(pageKey, record) {
+    const deleted = (record.deleted || []).filter(isRecentTombstone);
+    if (record.highlights.length === 0 && deleted.length === 0) {
+        await chrome.storage.local.remove(pageKey);
+        return;
+    }
+    await chrome.storage.local.set({ [pageKey]: { ...record, deleted } });
+}
+
+/**
+ * Settles highlights against deletions: whichever happened last wins. A highlight
+ * edited after it was deleted elsewhere comes back, and its deletion is forgotten.
+ * Expired deletions are dropped.
+ * @param {Array<object>} highlights - The highlights.
+ * @param {Array<{id: string, deletedAt: string}>} deleted - The deletions.
+ * @returns {{highlights: Array<object>, deleted: Array<object>}} What's left of each.
+ */
+function applyTombstones(highlights, deleted) {
+    const deletedAt = new Map();
+    deleted.filter(isRecentTombstone).forEach(tombstone => {
+        if (!deletedAt.has(tombstone.id) || tombstone.deletedAt > deletedAt.get(tombstone.id)) {
+            deletedAt.set(tombstone.id, tombstone.deletedAt);
+        }
+    });
+    const kept = highlights.filter(h => !deletedAt.has(h.id) || getModifiedTime(h) > Date.parse(deletedAt.get(h.id)));
+    kept.forEach(h => deletedAt.delete(h.id));
+    return {
+        highlights: kept,
+        deleted: Array.from(deletedAt, ([id, time]) => ({ id, deletedAt: time }))
+    };
+}
+
+/**
+ * Checks whether a deletion is still within `TOMBSTONE_LIFETIME`.
+ * @param {{deletedAt: string}} tombstone - The deletion.
+ * @returns {boolean} True if it should be kept.
+ */
+function isRecentTombstone(tombstone) {
+    return Date.parse(tombstone.deletedAt) > Date.now() - TOMBSTONE_LIFETIME;
+}
+
+/**
+ * Gets when a highlight was last changed.
+ * @param {object} highlight - The highlight.
+ * @returns {number} The time, in ms since the epoch.
+ */
+function getModifiedTime(highlight) {
+    return Date.parse(highlight.updatedAt || highlight.createdAt) || 0;
+}
+
+/**
+ * Builds the optional `fingerprint` field of a page record.
+ * @param {*} fingerprint - The page's fingerprint, if known.
+ * @returns {object} `{ fingerprint }`, or an empty object if there isn't a valid one.
+ */
+function getFingerprintField(fingerprint) {
+    return isFingerprint(fingerprint) ? { fingerprint } : {};
+}
+
+/**
+ * Gets every stored page record. Malformed highlights are left out, and so are
+ * pages whose highlights have all been deleted.
+ * @returns {Promise<Array<object>>} The page records, each with its `pageKey`.
+ */
+async function getAllPages() {
+    const items = await chrome.storage.local.get(null);
+    return Object.keys(items)
+        .filter(isPageKey)
+        .map(pageKey => ({ pageKey, ...items[pageKey], highlights: normalizeHighlights(items[pageKey].highlights) }))
+        .filter(page => page.highlights.length > 0);
+}
+
+/**
+ * Merges highlights pulled out of a page's localStorage by an older version.
+ * Highlights already in extension storage (by ID) are left untouched.
+ * @param {Array<{pageKey: string, highlights: Array<object>}>} entries - The legacy data, one entry per key.
+ * @param {{url: string, title: string}} meta - Details of the page that found the data.
+ * @returns {Promise<number>} The number of highlights added.
+ */
+function mergeLegacyHighlights(entries, meta) {
+    return withStorageLock(async () => {
+        const settings = await getSettings();
+        let migrated = 0;
+        for (const entry of entries) {
+            if (!isPageKey(entry.pageKey) || !Array.isArray(entry.highlights)) continue;
+
+            // Other keys on the same origin belong to other pages; we only know this page's title.
+            // This page's entry moves to its current key, which normalizes the URL.
+            const isCurrentPage = normalizePageUrl(entry.pageKey.slice(PAGE_KEY_PREFIX.length), settings) === meta.url;
+            const pageKey = isCurrentPage ? PAGE_KEY_PREFIX + meta.url : entry.pageKey;
+
+            const record = await getPageRecord(pageKey);
+            const existing = record ? record.highlights : [];
+            const existingIds = new Set(existing.map(h => h.id));
+            const added = normalizeHighlights(entry.highlights).filter(h => !existingIds.has(h.id));
+            if (added.length === 0) continue;
+
+            await writePageRecord(pageKey, {
+                url: record ? record.url : pageKey.slice(PAGE_KEY_PREFIX.length),
+                title: record ? record.title : (isCurrentPage ? meta.title : ''),
+                updatedAt: new Date().toISOString(),
+                highlights: existing.concat(added),
+                deleted: normalizeTombstones(record && record.deleted)
+            });
+            migrated += added.length;
+        }
+        return migrated;
+    });
+}
+
+
+// --- Related Pages ---
+
+/**
+ * Finds highlights stored for the same page under another key: one of its other
+ * URLs (saved before normalization, or before the rules changed), or a page whose
+ * text has the same fingerprint, e.g. after the article moved.
+ * @param {string} pageKey - The current page's key.
+ * @param {string|null} fingerprint - The current page's fingerprint.
+ * @returns {Promise<Array<{pageKey: string, url: string, title: string, count: number, reason: string}>>}
+ *     The related pages; `reason` is "url" or "content".
+ */
+async function findRelatedPages(pageKey, fingerprint) {
+    const [settings, pages] = await Promise.all([getSettings(), getAllPages()]);
+    const url = pageKey.slice(PAGE_KEY_PREFIX.length);
+    return pages.filter(page => page.pageKey !== pageKey).map(page => {
+        const sameUrl = [page.url, page.pageKey.slice(PAGE_KEY_PREFIX.length)]
+            .some(candidate => typeof candidate === 'string' && normalizePageUrl(candidate, settings) === url);
+        const reason = sameUrl ? 'url' : (isSameContent(page.fingerprint, fingerprint) ? 'content' : null);
+        return reason && { pageKey: page.pageKey, url: page.url, title: page.title, count: page.highlights.length, reason };
+    }).filter(Boolean);
+}
+
+/**
+ * Moves the highlights of related pages into a page's record. The old records keep
+ * deletions for the moved highlights, so sync removes them in other browsers too.
+ * Highlights already on the page (by ID) are left as they are.
+ * @param {string} pageKey - The page to move the highlights to.
+ * @param {Array<string>} sourceKeys - The pages to move them from.
+ * @param {{url: string, title: string, fingerprint: string}} meta - Details of the page.
+ * @returns {Promise<number>} The number of highlights moved.
+ */
+function mergeRelatedPages(pageKey, sourceKeys, meta) {
+    return withStorageLock(async () => {
+        const record = await getPageRecord(pageKey);
+        const existing = record ? normalizeHighlights(record.highlights) : [];
+        const ids = new Set(existing.map(h => h.id));
+        const now = new Date().toISOString();
+        const moved = [];
+
+        for (const sourceKey of sourceKeys) {
+            if (!isPageKey(sourceKey) || sourceKey === pageKey) continue;
+            const source = await getPageRecord(sourceKey);
+            if (!source) continue;
+
+            const highlights = normalizeHighlights(source.highlights);
+            highlights.filter(h => !ids.has(h.id)).forEach(h => {
+                ids.add(h.id);
+                moved.push(h);
+            });
+            await writePageRecord(sourceKey, {
+                ...source,
+                updatedAt: now,
+                highlights: [],
+                deleted: normalizeTombstones(source.deleted).concat(highlights.map(h => ({ id: h.id, deletedAt: now })))
+            });
+        }
+
+        if (moved.length > 0) {
+            await writePageRecord(pageKey, {
+                url: meta.url || (record ? record.url : pageKey.slice(PAGE_KEY_PREFIX.length)),
+                title: meta.title || (record ? record.title : ''),
+                ...getFingerprintField(meta.fingerprint || (record && record.fingerprint)),
+                updatedAt: now,
+                highlights: existing.concat(moved),
+                deleted: normalizeTombstones(record && record.deleted).filter(t => !ids.has(t.id))
+            });
+        }
+        return moved.length;
+    });
+}
+
+
+// --- Review ---
+
+/**
+ * Records how well a highlight was recalled in review mode and schedules its next review.
+ * @param {string} pageKey - The page the highlight is on.
+ * @param {string} highlightId - The highlight.
+ * @param {string} grade - "again", "hard", "good" or "easy".
+ * @returns {Promise<object>} The highlight's new schedule.
+ */
+function gradeReview(pageKey, highlightId, grade) {
+    if (!REVIEW_GRADES.includes(grade)) return Promise.reject(new Error(`Unknown grade: ${grade}`));
+    return updateStoredHighlight(pageKey, highlightId, highlight => {
+        highlight.review = scheduleReview(highlight.review, grade);
+        return highlight.review;
+    });
+}
+
+/**
+ * Takes a highlight out of review mode, or puts it back. Its schedule is kept.
+ * @param {string} pageKey - The page the highlight is on.
+ * @param {string} highlightId - The highlight.
+ * @param {boolean} excluded - True to stop reviewing it.
+ * @returns {Promise<boolean>} Whether it's now excluded.
+ */
+function setReviewExcluded(pageKey, highlightId, excluded) {
+    return updateStoredHighlight(pageKey, highlightId, highlight => {
+        if (excluded) {
+            highlight.excludeFromReview = true;
+        } else {
+            delete highlight.excludeFromReview;
+        }
+        return Boolean(excluded);
+    });
+}
+
+/**
+ * Changes one stored highlight outside of its page, marking it as modified so the
+ * change wins over copies that open tabs or other browsers still hold.
+ * @param {string} pageKey - The page the highlight is on.
+ * @param {string} highlightId - The highlight.
+ * @param {function(object): *} update - Changes the highlight in place.
+ * @returns {Promise<*>} What `update` returned.
+ */
+function updateStoredHighlight(pageKey, highlightId, update) {
+    return withStorageLock(async () => {
+        const record = await getPageRecord(pageKey);
+        const highlights = record ? normalizeHighlights(record.highlights) : [];
+        const highlight = highlights.find(h => h.id === highlightId);
+        if (!highlight) throw new Error('That highlight no longer exists.');
+
+        const result = update(highlight);
+        const now = new Date().toISOString();
+        highlight.updatedAt = now;
+        await writePageRecord(pageKey, { ...record, updatedAt: now, highlights });
+        return result;
+    });
+}
+
+
+// --- Backup & Restore ---
+
+const BACKUP_FORMAT = 'article-highlighter-backup';
+const BACKUP_VERSION = 1;
+
+/**
+ * Builds a versioned archive of every page's highlights.
+ * @returns {Promise<object>} The archive, ready to be written out as JSON.
+ */
+async function createBackupArchive() {
+    const pages = await getAllPages();
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        pages: pages.map(({ pageKey, url, title, highlights }) => ({ pageKey, url, title, highlights }))
+    };
+}
+
+/**
+ * Merges a backup archive into storage by highlight ID. Nothing already stored is overwritten:
+ * identical highlights are counted as duplicates, and differing ones are reported as conflicts.
+ * @param {object} archive - The parsed archive.
+ * @returns {Promise<object>} A report with `pagesAdded`, `highlightsAdded`, `duplicates` and `conflicts`.
+ */
+function importBackupArchive(archive) {
+    return withStorageLock(async () => {
+        validateBackupArchive(archive);
+        const report = { pagesAdded: 0, highlightsAdded: 0, duplicates: 0, conflicts: [] };
+
+        for (const page of archive.pages) {
+            const pageKey = page.pageKey || PAGE_KEY_PREFIX + page.url;
+            const record = await getPageRecord(pageKey);
+            const existing = record ? record.highlights : [];
+            const existingById = new Map(existing.map(h => [h.id, h]));
+            const added = [];
+
+            normalizeHighlights(page.highlights).forEach(highlight => {
+                const current = existingById.get(highlight.id);
+                if (!current) {
+                    added.push(highlight);
+                } else if (isSameHighlight(current, highlight)) {
+                    report.duplicates++;
+                } else {
+                    report.conflicts.push({ url: page.url, highlightId: highlight.id, text: highlight.text });
+                }
+            });
+
+            if (added.length === 0) continue;
+            if (!record) report.pagesAdded++;
+            report.highlightsAdded += added.length;
+            // Restoring a highlight undoes its deletion; a leftover tombstone would hide it again
+            const addedIds = new Set(added.map(h => h.id));
+            await writePageRecord(pageKey, {
+                url: record ? record.url : page.url,
+                title: record ? record.title : (page.title || ''),
+                updatedAt: new Date().toISOString(),
+                highlights: existing.concat(added),
+                deleted: normalizeTombstones(record && record.deleted).filter(t => !addedIds.has(t.id))
+            });
+        }
+        return report;
+    });
+}
+
+/**
+ * Throws a descriptive error if an archive isn't one we can import.
+ * @param {*} archive - The parsed archive.
+ */
+function validateBackupArchive(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+        throw new Error("This file isn't an Article Highlighter backup.");
+    }
+    if (typeof archive.version !== 'number' || archive.version > BACKUP_VERSION) {
+        throw new Error('This backup was made by a newer version of Article Highlighter. Update the extension and try again.');
+    }
+    if (!Array.isArray(archive.pages)) {
+        throw new Error('The backup is damaged: it has no list of pages.');
+    }
+    archive.pages.forEach((page, i) => {
+        if (!page || typeof page.url !== 'string' || !Array.isArray(page.highlights)) {
+            throw new Error(`The backup is damaged: page ${i + 1} is missing its URL or highlights.`);
+        }
+        if (page.pageKey !== undefined && !isPageKey(page.pageKey)) {
+            throw new Error(`The backup is damaged: page ${i + 1} has an invalid key.`);
+        }
+        page.highlights.forEach((highlight, j) => {
+            if (!highlight || typeof highlight.id !== 'string' || typeof highlight.text !== 'string') {
+                throw new Error(`The backup is damaged: highlight ${j + 1} on ${page.url} is missing its ID or text.`);
+            }
+        });
+    });
+}
+
+/**
+ * Checks whether two copies of a highlight hold the same user-visible data.
+ * @returns {boolean} True if text, note and color all match.
+ */
+function isSameHighlight(a, b) {
+    return a.text === b.text && (a.note || '') === (b.note || '') && a.color === b.color;
+}
+
+
+// --- Settings ---
+
+const SETTINGS_KEY = 'settings';
+
+const DEFAULT_SETTINGS = {
+    // The first entry is the default color for new highlights
+    palette: [
+        { id: 'yellow', color: '#fefcbf', label: 'Highlight' },
+        { id: 'blue', color: '#bee3f8', label: 'Claim' },
+        { id: 'green', color: '#c6f6d5', label: 'Evidence' },
+        { id: 'pink', color: '#fed7e2', label: 'Question' }
+    ],
+    // Whether "Export Page" shows the reader view before printing it
+    previewExports: false,
+    // Where the highlighter runs; see lib/site-rules.js
+    defaultSiteMode: 'enabled',
+    siteRules: {},
+    // How page URLs are normalized; see lib/page-identity.js
+    ignoredUrlParams: DEFAULT_IGNORED_URL_PARAMS,
+    mergeUrlVariants: true
+};
+
+/**
+ * Gets the user's settings, filling in defaults for anything not yet set.
+ * @returns {Promise<object>} The settings.
+ */
+async function getSettings() {
+    const items = await chrome.storage.local.get(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...items[SETTINGS_KEY] };
+}
+
+/**
+ * Updates some of the user's settings.
+ * @param {object} changes - The settings to change.
+ * @returns {Promise<object>} The full, updated settings.
+ */
+function saveSettings(changes) {
+    return withStorageLock(async () => {
+        if ('palette' in changes && !isValidPalette(changes.palette)) {
+            throw new Error('The palette needs at least one color, each with an ID, a hex color and a label.');
+        }
+        if ('previewExports' in changes && typeof changes.previewExports !== 'boolean') {
+            throw new Error('The export preview setting must be on or off.');
+        }
+        if ('defaultSiteMode' in changes && !SITE_MODES[changes.defaultSiteMode]) {
+            throw new Error('Unknown mode for other sites.');
+        }
+        if ('siteRules' in changes && !isValidSiteRules(changes.siteRules)) {
+            throw new Error('Each site rule needs a valid hostname and mode.');
+        }
+        if ('ignoredUrlParams' in changes && !isValidParamList(changes.ignoredUrlParams)) {
+            throw new Error('Ignored URL parameters must be names like "utm_source" or "utm_*".');
+        }
+        if ('mergeUrlVariants' in changes && typeof changes.mergeUrlVariants !== 'boolean') {
+            throw new Error('The AMP and print version setting must be on or off.');
+        }
+        const items = await chrome.storage.local.get(SETTINGS_KEY);
+        const saved = { ...items[SETTINGS_KEY], ...changes };
+        await chrome.storage.local.set({ [SETTINGS_KEY]: saved });
+        return { ...DEFAULT_SETTINGS, ...saved };
+    });
+}
+
+/**
+ * Returns some of the user's settings to their defaults.
+ * @param {Array<string>} keys - The settings to reset.
+ * @returns {Promise<object>} The full, updated settings.
+ */
+function resetSettings(keys) {
+    return withStorageLock(async () => {
+        const items = await chrome.storage.local.get(SETTINGS_KEY);
+        const saved = { ...items[SETTINGS_KEY] };
+        keys.forEach(key => delete saved[key]);
+        await chrome.storage.local.set({ [SETTINGS_KEY]: saved });
+        return { ...DEFAULT_SETTINGS, ...saved };
+    });
+}
+
+/**
+ * Checks that a palette is usable by the content script and pages.
+ * @param {*} palette - The palette to check.
+ * @returns {boolean} True if the palette is valid.
+ */
+function isValidPalette(palette) {
+    return Array.isArray(palette) && palette.length > 0 && palette.every(entry =>
+        entry && typeof entry.id === 'string' && entry.id &&
+        /^#[0-9a-f]{6}$/i.test(entry.color) &&
+        typeof entry.label === 'string'
+    ) && new Set(palette.map(entry => entry.id)).size === palette.length;
+}
+
+/**
+ * Checks that site rules map normalized hostnames to known modes.
+ * @param {*} rules - The rules to check.
+ * @returns {boolean} True if the rules are valid.
+ */
+function isValidSiteRules(rules) {
+    return typeof rules === 'object' && rules !== null && !Array.isArray(rules) &&
+        Object.keys(rules).every(host => host && normalizeHostname(host) === host && Boolean(SITE_MODES[rules[host]]));
+}
+
+/**
+ * Checks that a list of ignored URL parameters holds only parameter names.
+ * @param {*} params - The list to check.
+ * @returns {boolean} True if the list is valid.
+ */
+function isValidParamList(params) {
+    return Array.isArray(params) && params.every(name => typeof name === 'string' && /^[^\s=&#*]+\*?$/.test(name));
+}
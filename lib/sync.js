@@ -0,0 +1,369 @@
+// lib/sync.js
+
+// --- Sync ---
+//
+// Keeps the library in step across browsers through a pluggable backend. A backend
+// is an adapter object with two methods:
+//   read()          -> Promise<object|null>  the remote snapshot, or null if there is none yet
+//   write(snapshot) -> Promise<void>         replaces the remote snapshot
+// A snapshot holds every page record, deletions included:
+//   { format, version, pages: { "<pageKey>": { url, title, updatedAt, highlights, deleted } } }
+// Syncing merges the local and remote pages highlight by highlight: the copy changed
+// most recently wins, and a deletion wins over edits made before it. The result is
+// written back to both sides. Only the background worker should call these, after
+// loading lib/schema.js and lib/storage.js.
+
+const SYNC_FORMAT = 'article-highlighter-sync';
+const SYNC_VERSION = 1;
+const SYNC_CONFIG_KEY = 'syncConfig';
+const SYNC_STATE_KEY = 'syncState';
+
+// `url` and `authorization` are only used by the HTTP backend
+const DEFAULT_SYNC_CONFIG = { backend: 'off', url: '', authorization: '' };
+
+const SYNC_BACKENDS = {
+    'chrome-sync': { label: 'Chrome sync', create: createChromeSyncAdapter },
+    http: { label: 'HTTP / WebDAV', create: createHttpSyncAdapter }
+};
+
+let syncRun = null; // The sync in progress, if any
+
+
+// --- Configuration & Status ---
+
+/**
+ * Gets the sync backend settings. They're kept apart from the other settings,
+ * which are sent to every tab, because they can hold a password.
+ * @returns {Promise<object>} The sync settings.
+ */
+async function getSyncConfig() {
+    const items = await chrome.storage.local.get(SYNC_CONFIG_KEY);
+    return { ...DEFAULT_SYNC_CONFIG, ...items[SYNC_CONFIG_KEY] };
+}
+
+/**
+ * Validates and saves the sync backend settings.
+ * @param {object} config - The new settings.
+ * @returns {Promise<object>} The saved settings.
+ */
+async function saveSyncConfig(config) {
+    const saved = {
+        backend: config.backend,
+        url: typeof config.url === 'string' ? config.url.trim() : '',
+        authorization: typeof config.authorization === 'string' ? config.authorization.trim() : ''
+    };
+    if (saved.backend !== 'off' && !SYNC_BACKENDS[saved.backend]) {
+        throw new Error('Unknown sync backend.');
+    }
+    if (saved.backend === 'http' && !/^https?:\/\/[^/]/i.test(saved.url)) {
+        throw new Error('Enter the full http:// or https:// address of the sync file.');
+    }
+    await chrome.storage.local.set({ [SYNC_CONFIG_KEY]: saved });
+    // Another backend may hold a different library, so the next sync starts afresh
+    await setSyncState({ status: saved.backend === 'off' ? 'off' : 'pending', error: '', lastSyncedAt: null });
+    return saved;
+}
+
+/**
+ * Gets the result of the last sync, for the popup and options page.
+ * @returns {Promise<{status: string, error: string, lastSyncedAt: string|null, backendLabel: string}>}
+ *     `status` is "off", "pending", "syncing", "ok" or "error".
+ */
+async function getSyncStatus() {
+    const config = await getSyncConfig();
+    const items = await chrome.storage.local.get(SYNC_STATE_KEY);
+    const state = { status: 'pending', error: '', lastSyncedAt: null, ...items[SYNC_STATE_KEY] };
+    if (config.backend === 'off') state.status = 'off';
+    return { ...state, backendLabel: config.backend === 'off' ? '' : SYNC_BACKENDS[config.backend].label };
+}
+
+/**
+ * Updates the stored sync status.
+ * @param {object} changes - The fields to change.
+ * @returns {Promise<void>}
+ */
+async function setSyncState(changes) {
+    const items = await chrome.storage.local.get(SYNC_STATE_KEY);
+    await chrome.storage.local.set({ [SYNC_STATE_KEY]: { ...items[SYNC_STATE_KEY], ...changes } });
+}
+
+
+// --- Syncing ---
+
+/**
+ * Syncs with the configured backend. If a sync is already running, waits for it instead.
+ * @returns {Promise<Array<string>>} The keys of the pages that changed locally.
+ */
+function syncNow() {
+    if (!syncRun) {
+        syncRun = runSync().finally(() => { syncRun = null; });
+    }
+    return syncRun;
+}
+
+/**
+ * Pulls the remote snapshot, merges it with local storage, and pushes the result back.
+ * @returns {Promise<Array<string>>} The keys of the pages that changed locally.
+ */
+async function runSync() {
+    const config = await getSyncConfig();
+    if (config.backend === 'off') return [];
+
+    const adapter = SYNC_BACKENDS[config.backend].create(config);
+    await setSyncState({ status: 'syncing' });
+    try {
+        const remote = normalizeSnapshot(await adapter.read());
+
+        const { pages, changedKeys } = await withStorageLock(async () => {
+            const local = await getAllPageRecords();
+            const merged = mergeSnapshotPages(local, remote ? remote.pages : {});
+            const changed = Object.keys(merged).filter(key => !isSameRecord(local[key], merged[key]));
+            for (const key of changed) await writePageRecord(key, merged[key]);
+            return { pages: merged, changedKeys: changed };
+        });
+
+        const remoteChanged = !remote || Object.keys({ ...pages, ...remote.pages })
+            .some(key => !isSameRecord(remote.pages[key], pages[key]));
+        if (remoteChanged) await adapter.write(createSnapshot(pages));
+
+        await setSyncState({ status: 'ok', error: '', lastSyncedAt: new Date().toISOString() });
+        return changedKeys;
+    } catch (error) {
+        await setSyncState({ status: 'error', error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Gets every stored page record, cleaned, keyed by page key. Pages whose highlights
+ * were all deleted are included, so their deletions sync.
+ * @returns {Promise<object>} The page records.
+ */
+async function getAllPageRecords() {
+    const items = await chrome.storage.local.get(null);
+    const pages = {};
+    Object.keys(items).filter(isPageKey).forEach(pageKey => {
+        pages[pageKey] = normalizePageRecord(items[pageKey], pageKey);
+    });
+    return pages;
+}
+
+/**
+ * Merges two sets of page records.
+ * @param {object} local - This browser's pages, keyed by page key.
+ * @param {object} remote - The backend's pages, keyed by page key.
+ * @returns {object} The merged pages, keyed by page key.
+ */
+function mergeSnapshotPages(local, remote) {
+    const merged = {};
+    new Set([...Object.keys(local), ...Object.keys(remote)]).forEach(pageKey => {
+        merged[pageKey] = mergePageRecords(local[pageKey], remote[pageKey]);
+    });
+    return merged;
+}
+
+/**
+ * Merges two copies of a page record, highlight by highlight.
+ * @param {object} [a] - One copy.
+ * @param {object} [b] - The other copy.
+ * @returns {object} The merged record.
+ */
+function mergePageRecords(a, b) {
+    const copies = [a, b].filter(Boolean);
+    const byId = new Map();
+    copies.forEach(copy => copy.highlights.forEach(highlight => {
+        const current = byId.get(highlight.id);
+        if (!current || isNewerCopy(highlight, current)) byId.set(highlight.id, highlight);
+    }));
+
+    const newer = copies.reduce((x, y) => (Date.parse(y.updatedAt) > Date.parse(x.updatedAt) ? y : x));
+    return {
+        url: newer.url,
+        title: newer.title,
+        ...getFingerprintField(newer.fingerprint || copies.map(copy => copy.fingerprint).find(Boolean)),
+        updatedAt: newer.updatedAt,
+        ...applyTombstones(Array.from(byId.values()), [].concat(...copies.map(copy => copy.deleted)))
+    };
+}
+
+/**
+ * Decides which of two copies of a highlight to keep.
+ * @param {object} candidate - The copy that might replace the current one.
+ * @param {object} current - The copy kept so far.
+ * @returns {boolean} True if the candidate should win.
+ */
+function isNewerCopy(candidate, current) {
+    const difference = getModifiedTime(candidate) - getModifiedTime(current);
+    // Same timestamp but different data: pick one the same way in every browser
+    return difference > 0 || (difference === 0 && JSON.stringify(candidate) > JSON.stringify(current));
+}
+
+/**
+ * Checks whether two page records hold the same highlights and deletions, in any
+ * order. A missing record counts the same as an empty one.
+ * @param {object} [a] - One record.
+ * @param {object} [b] - The other record.
+ * @returns {boolean} True if nothing needs writing.
+ */
+function isSameRecord(a, b) {
+    if (isEmptyRecord(a) || isEmptyRecord(b)) return isEmptyRecord(a) && isEmptyRecord(b);
+    const sorted = list => JSON.stringify(list.slice().sort((x, y) => x.id.localeCompare(y.id)));
+    return sorted(a.highlights) === sorted(b.highlights) && sorted(a.deleted) === sorted(b.deleted) &&
+        a.url === b.url && a.title === b.title;
+}
+
+/**
+ * @returns {boolean} True if a page record is missing or has nothing left to sync.
+ */
+function isEmptyRecord(record) {
+    return !record || (record.highlights.length === 0 && record.deleted.length === 0);
+}
+
+/**
+ * Wraps page records in a snapshot for the backend, leaving out empty ones.
+ * @param {object} pages - The page records, keyed by page key.
+ * @returns {object} The snapshot.
+ */
+function createSnapshot(pages) {
+    const nonEmpty = {};
+    Object.keys(pages).forEach(pageKey => {
+        if (!isEmptyRecord(pages[pageKey])) nonEmpty[pageKey] = pages[pageKey];
+    });
+    return { format: SYNC_FORMAT, version: SYNC_VERSION, updatedAt: new Date().toISOString(), pages: nonEmpty };
+}
+
+/**
+ * Validates a snapshot read from a backend and cleans every page in it.
+ * @param {*} snapshot - The snapshot, or null if the backend has none yet.
+ * @returns {object|null} The cleaned snapshot, or null.
+ */
+function normalizeSnapshot(snapshot) {
+    if (snapshot === null || snapshot === undefined) return null;
+    if (!isPlainObject(snapshot) || snapshot.format !== SYNC_FORMAT || !isPlainObject(snapshot.pages)) {
+        throw new Error("The sync location holds something other than Article Highlighter data.");
+    }
+    if (typeof snapshot.version !== 'number' || snapshot.version > SYNC_VERSION) {
+        throw new Error('Another browser synced with a newer version of Article Highlighter. Update the extension to keep syncing.');
+    }
+    const pages = {};
+    Object.keys(snapshot.pages).filter(isPageKey).forEach(pageKey => {
+        if (isPlainObject(snapshot.pages[pageKey])) pages[pageKey] = normalizePageRecord(snapshot.pages[pageKey], pageKey);
+    });
+    return { ...snapshot, pages };
+}
+
+/**
+ * Cleans a page record from storage or a backend.
+ * @param {object} record - The record.
+ * @param {string} pageKey - Its page key, for when the URL is missing.
+ * @returns {object} The cleaned record.
+ */
+function normalizePageRecord(record, pageKey) {
+    return {
+        url: typeof record.url === 'string' ? record.url : pageKey.slice(PAGE_KEY_PREFIX.length),
+        title: typeof record.title === 'string' ? record.title : '',
+        ...getFingerprintField(record.fingerprint),
+        updatedAt: isDateString(record.updatedAt) ? record.updatedAt : new Date(0).toISOString(),
+        highlights: normalizeHighlights(record.highlights),
+        deleted: normalizeTombstones(record.deleted)
+    };
+}
+
+
+// --- Backends ---
+
+/**
+ * Creates an adapter that syncs through `chrome.storage.sync`, which follows the
+ * user's Chrome profile. Each page is one item, so only changed pages are written.
+ * Chrome limits items to about 8 KB and the total to about 100 KB, which suits
+ * small libraries.
+ * @param {object} config - The sync settings (unused).
+ * @param {chrome.storage.StorageArea} [area] - The storage area; replaceable in tests.
+ * @returns {{read: function(): Promise<object|null>, write: function(object): Promise<void>}} The adapter.
+ */
+function createChromeSyncAdapter(config, area = chrome.storage.sync) {
+    return {
+        async read() {
+            const items = await area.get(null);
+            const pages = {};
+            Object.keys(items).filter(isPageKey).forEach(pageKey => { pages[pageKey] = items[pageKey]; });
+            if (Object.keys(pages).length === 0) return null;
+            return { format: SYNC_FORMAT, version: items.syncVersion || SYNC_VERSION, pages };
+        },
+
+        async write(snapshot) {
+            const items = await area.get(null);
+            const changed = { syncVersion: snapshot.version };
+            Object.keys(snapshot.pages).forEach(pageKey => {
+                const page = snapshot.pages[pageKey];
+                if (JSON.stringify(items[pageKey]) === JSON.stringify(page)) return;
+                if (pageKey.length + JSON.stringify(page).length > area.QUOTA_BYTES_PER_ITEM) {
+                    throw new Error(`The highlights on ${page.url} are too big for Chrome sync. Use an HTTP or WebDAV backend instead.`);
+                }
+                changed[pageKey] = page;
+            });
+            const removed = Object.keys(items).filter(key => isPageKey(key) && !snapshot.pages[key]);
+
+            try {
+                await area.set(changed);
+                if (removed.length > 0) await area.remove(removed);
+            } catch (error) {
+                throw new Error(`Chrome sync refused the change (${error.message}). Your library may be too big for it; try an HTTP or WebDAV backend.`);
+            }
+        }
+    };
+}
+
+/**
+ * Creates an adapter that keeps the snapshot as one JSON file on a web server:
+ * read with GET and written with PUT. Works with WebDAV servers and simple local
+ * endpoints alike.
+ * @param {{url: string, authorization: string}} config - The file's address, and an
+ *     optional Authorization header value such as "Bearer <token>" or "Basic <credentials>".
+ * @param {function} [fetchImpl] - The fetch function; replaceable in tests.
+ * @returns {{read: function(): Promise<object|null>, write: function(object): Promise<void>}} The adapter.
+ */
+function createHttpSyncAdapter(config, fetchImpl = fetch) {
+    const headers = config.authorization ? { Authorization: config.authorization } : {};
+
+    /**
+     * Sends a request to the sync file, turning failures into readable errors.
+     * @param {object} options - The fetch options.
+     * @returns {Promise<Response>} The response, which is OK or a 404.
+     */
+    async function request(options) {
+        let response;
+        try {
+            response = await fetchImpl(config.url, { cache: 'no-store', ...options, headers: { ...headers, ...options.headers } });
+        } catch (error) {
+            throw new Error(`Could not reach the sync server (${error.message}).`);
+        }
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`The sync server answered ${response.status} ${response.statusText}.`.trim());
+        }
+        return response;
+    }
+
+    return {
+        async read() {
+            const response = await request({ method: 'GET' });
+            if (response.status === 404) return null; // Nothing synced yet
+            try {
+                return await response.json();
+            } catch (error) {
+                throw new Error("The sync file isn't valid JSON.");
+            }
+        },
+
+        async write(snapshot) {
+            const response = await request({
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(snapshot)
+            });
+            if (response.status === 404) {
+                throw new Error("The sync server couldn't create the file. Check that its folder exists.");
+            }
+        }
+    };
+}
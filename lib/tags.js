@@ -0,0 +1,58 @@
+// lib/tags.js
+
+// --- Highlight Tags ---
+//
+// Tags are free-form labels stored on each highlight as `tags: [...]`. They're
+// typed as a comma-separated list, and compared without regard to case.
+// Shared by the content script and the extension pages.
+
+/**
+ * Turns comma-separated input into a list of tags, dropping blanks and repeats.
+ * @param {string} input - The text the user typed, e.g. "methods, Sample size".
+ * @returns {Array<string>} The tags, in the order they were typed.
+ */
+function parseTags(input) {
+    const seen = new Set();
+    return input.split(',')
+        .map(tag => tag.trim().replace(/\s+/g, ' '))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Turns a highlight's tags back into editable text.
+ * @param {Array<string>} [tags] - The tags.
+ * @returns {string} The comma-separated tags.
+ */
+function formatTags(tags) {
+    return (tags || []).join(', ');
+}
+
+/**
+ * Collects every tag used by a set of highlights.
+ * @param {Array<object>} highlights - The highlights.
+ * @returns {Array<string>} The distinct tags, sorted alphabetically.
+ */
+function collectTags(highlights) {
+    const tags = new Map();
+    highlights.forEach(highlight => {
+        (highlight.tags || []).forEach(tag => {
+            if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+        });
+    });
+    return Array.from(tags.values()).sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Checks whether a highlight has a tag.
+ * @param {object} highlight - The highlight.
+ * @param {string} tag - The tag to look for.
+ * @returns {boolean} True if the highlight has the tag.
+ */
+function hasTag(highlight, tag) {
+    return (highlight.tags || []).some(t => t.toLowerCase() === tag.toLowerCase());
+}
@@ -0,0 +1,286 @@
+// library/library.js
+
+document.addEventListener('DOMContentLoaded', () => {
+    const libraryList = document.getElementById('library-list');
+    const emptyMsg = document.getElementById('empty-msg');
+    const summary = document.getElementById('summary');
+    const searchInput = document.getElementById('search-input');
+    const groupSelect = document.getElementById('group-select');
+    const groupTemplate = document.getElementById('group-template');
+    const pageTemplate = document.getElementById('page-template');
+    const highlightTemplate = document.getElementById('highlight-template');
+    const backupBtn = document.getElementById('backup-btn');
+    const importBtn = document.getElementById('import-btn');
+    const importInput = document.getElementById('import-input');
+    const importReport = document.getElementById('import-report');
+    let pages = [];
+
+    loadPages();
+
+    searchInput.addEventListener('input', render);
+    groupSelect.addEventListener('change', render);
+
+    backupBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'createBackup' }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                showImportReport('Creating the backup failed.', [], true);
+                return;
+            }
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(response.archive, null, 2)], { type: 'application/json' }));
+            link.download = `article-highlighter-backup-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+    });
+
+    importBtn.addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        file.text().then(contents => {
+            let archive;
+            try {
+                archive = JSON.parse(contents);
+            } catch (e) {
+                showImportReport(`${file.name} isn't valid JSON, so it can't be a backup.`, [], true);
+                return;
+            }
+            chrome.runtime.sendMessage({ action: 'importBackup', archive }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) {
+                    showImportReport((response && response.error) || 'Importing the backup failed.', [], true);
+                    return;
+                }
+                showImportReport(describeImport(response.report), response.report.conflicts);
+                loadPages();
+            });
+        });
+    });
+
+    importReport.querySelector('.dismiss-btn').addEventListener('click', () => {
+        importReport.hidden = true;
+    });
+
+    /**
+     * Loads every page's highlights from storage and renders them.
+     */
+    function loadPages() {
+        chrome.runtime.sendMessage({ action: 'getAllPages' }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                console.error(chrome.runtime.lastError || response);
+                libraryList.innerHTML = '<p>Could not load your highlights. Try reopening this page.</p>';
+                return;
+            }
+            pages = response.pages;
+            render();
+        });
+    }
+
+    /**
+     * Summarizes an import report in a sentence.
+     * @param {object} report - The report from the background worker.
+     * @returns {string} The summary.
+     */
+    function describeImport(report) {
+        const parts = [`Imported ${report.highlightsAdded} highlight${report.highlightsAdded === 1 ? '' : 's'}` +
+            (report.pagesAdded ? ` (${report.pagesAdded} new page${report.pagesAdded === 1 ? '' : 's'})` : '') + '.'];
+        if (report.duplicates) {
+            parts.push(`Skipped ${report.duplicates} you already had.`);
+        }
+        if (report.conflicts.length) {
+            parts.push(`${report.conflicts.length} differ from what you have now and were not imported; your current versions were kept:`);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Shows the outcome of a backup or import above the list.
+     * @param {string} message - The summary message.
+     * @param {Array<object>} conflicts - Highlights that weren't imported because they conflict.
+     * @param {boolean} [isError] - Whether to style it as an error.
+     */
+    function showImportReport(message, conflicts, isError = false) {
+        importReport.querySelector('.report-summary').textContent = message;
+        const list = importReport.querySelector('.report-conflicts');
+        list.innerHTML = '';
+        conflicts.forEach(conflict => {
+            const li = document.createElement('li');
+            li.textContent = `"${conflict.text}" on ${conflict.url}`;
+            list.appendChild(li);
+        });
+        importReport.classList.toggle('error', isError);
+        importReport.hidden = false;
+    }
+
+    /**
+     * Renders the library using the current search query and grouping.
+     */
+    function render() {
+        libraryList.innerHTML = '';
+
+        const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const matchingPages = pages
+            .map(page => ({ ...page, highlights: page.highlights.filter(h => matchesSearch(h, terms)) }))
+            .filter(page => page.highlights.length > 0);
+
+        const highlightCount = matchingPages.reduce((count, page) => count + page.highlights.length, 0);
+        summary.textContent = terms.length
+            ? `${highlightCount} matching highlight${highlightCount === 1 ? '' : 's'} on ${matchingPages.length} page${matchingPages.length === 1 ? '' : 's'}`
+            : `${highlightCount} highlight${highlightCount === 1 ? '' : 's'} on ${matchingPages.length} page${matchingPages.length === 1 ? '' : 's'}`;
+
+        if (matchingPages.length === 0) {
+            emptyMsg.textContent = terms.length ? 'No highlights match your search.' : "You haven't highlighted anything yet.";
+            libraryList.appendChild(emptyMsg);
+            return;
+        }
+
+        const groups = groupSelect.value === 'date' ? groupByDate(matchingPages) : groupBySite(matchingPages);
+        groups.forEach(group => libraryList.appendChild(renderGroup(group)));
+    }
+
+    /**
+     * Checks whether a highlight's text, note or tags contain every search term.
+     * @param {object} highlight - The highlight to test.
+     * @param {Array<string>} terms - Lowercased search terms.
+     * @returns {boolean} True if the highlight matches.
+     */
+    function matchesSearch(highlight, terms) {
+        const haystack = `${highlight.text} ${highlight.note || ''} ${(highlight.tags || []).join(' ')}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    }
+
+    /**
+     * Groups pages by hostname, busiest sites first.
+     * @param {Array<object>} pageList - The pages to group.
+     * @returns {Array<{title: string, pages: Array<object>}>} The groups.
+     */
+    function groupBySite(pageList) {
+        const groups = new Map();
+        pageList.forEach(page => {
+            const site = getHostname(page.url);
+            if (!groups.has(site)) groups.set(site, []);
+            groups.get(site).push(page);
+        });
+        return Array.from(groups, ([title, sitePages]) => ({
+            title,
+            pages: sitePages.sort((a, b) => latestActivity(b) - latestActivity(a))
+        })).sort((a, b) => b.pages.length - a.pages.length || a.title.localeCompare(b.title));
+    }
+
+    /**
+     * Groups pages by the day of their most recent highlight, newest first.
+     * @param {Array<object>} pageList - The pages to group.
+     * @returns {Array<{title: string, pages: Array<object>}>} The groups.
+     */
+    function groupByDate(pageList) {
+        const sorted = pageList.slice().sort((a, b) => latestActivity(b) - latestActivity(a));
+        const groups = new Map();
+        sorted.forEach(page => {
+            const day = new Date(latestActivity(page)).toLocaleDateString(undefined, {
+                weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+            });
+            if (!groups.has(day)) groups.set(day, []);
+            groups.get(day).push(page);
+        });
+        return Array.from(groups, ([title, dayPages]) => ({ title, pages: dayPages }));
+    }
+
+    /**
+     * Gets the time of the newest highlight on a page.
+     * @param {object} page - The page record.
+     * @returns {number} A timestamp in milliseconds.
+     */
+    function latestActivity(page) {
+        return Math.max(...page.highlights.map(h => new Date(h.createdAt).getTime()));
+    }
+
+    /**
+     * Gets the hostname of a URL, or the URL itself if it can't be parsed.
+     * @param {string} url - The URL.
+     * @returns {string} The hostname.
+     */
+    function getHostname(url) {
+        try {
+            return new URL(url).hostname || url;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Builds the DOM for a group of pages.
+     * @param {{title: string, pages: Array<object>}} group - The group to render.
+     * @returns {DocumentFragment} The rendered group.
+     */
+    function renderGroup(group) {
+        const fragment = groupTemplate.content.cloneNode(true);
+        fragment.querySelector('.group-title').textContent = group.title;
+        const groupPages = fragment.querySelector('.group-pages');
+        group.pages.forEach(page => groupPages.appendChild(renderPage(page)));
+        return fragment;
+    }
+
+    /**
+     * Builds the DOM for one page and its highlights.
+     * @param {object} page - The page record.
+     * @returns {DocumentFragment} The rendered page.
+     */
+    function renderPage(page) {
+        const fragment = pageTemplate.content.cloneNode(true);
+        const pageTitle = fragment.querySelector('.page-title');
+        pageTitle.textContent = page.title || page.url;
+        if (isSafeUrl(page.url)) {
+            pageTitle.href = page.url;
+        } else {
+            // Imported or synced records could carry any URL; show it without a link
+            const plainTitle = document.createElement('span');
+            plainTitle.className = 'page-title plain';
+            plainTitle.textContent = pageTitle.textContent;
+            pageTitle.replaceWith(plainTitle);
+        }
+
+        const count = page.highlights.length;
+        fragment.querySelector('.page-meta').textContent =
+            `${count} highlight${count === 1 ? '' : 's'} · ${new Date(latestActivity(page)).toLocaleDateString()}`;
+
+        const list = fragment.querySelector('.page-highlights');
+        page.highlights
+            .slice()
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(highlight => list.appendChild(renderHighlight(page, highlight)));
+        return fragment;
+    }
+
+    /**
+     * Builds the DOM for a single highlight entry.
+     * @param {object} page - The page the highlight belongs to.
+     * @param {object} highlight - The highlight.
+     * @returns {DocumentFragment} The rendered entry.
+     */
+    function renderHighlight(page, highlight) {
+        const fragment = highlightTemplate.content.cloneNode(true);
+        const item = fragment.querySelector('.library-highlight');
+        const highlightNote = fragment.querySelector('.highlight-note');
+
+        fragment.querySelector('.highlight-text').textContent = `"${highlight.text}"`;
+        if (highlight.note) {
+            highlightNote.innerHTML = renderMarkdown(highlight.note);
+        } else {
+            highlightNote.remove();
+        }
+
+        const open = (e) => {
+            if (e.target.closest('a')) return; // A link in the note opens on its own
+            if (!isSafeUrl(page.url)) return;
+            chrome.runtime.sendMessage({ action: 'openHighlight', url: page.url, highlightId: highlight.id });
+        };
+        item.addEventListener('click', open);
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') open(e);
+        });
+        return fragment;
+    }
+});
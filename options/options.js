@@ -0,0 +1,348 @@
+// options/options.js
+
+document.addEventListener('DOMContentLoaded', () => {
+    const paletteList = document.getElementById('palette-list');
+    const paletteStatus = document.getElementById('palette-status');
+    const paletteEntryTemplate = document.getElementById('palette-entry-template');
+    const addColorBtn = document.getElementById('add-color-btn');
+    const resetPaletteBtn = document.getElementById('reset-palette-btn');
+    const savePaletteBtn = document.getElementById('save-palette-btn');
+    const defaultSiteModeSelect = document.getElementById('default-site-mode');
+    const siteRulesList = document.getElementById('site-rules-list');
+    const siteRuleTemplate = document.getElementById('site-rule-template');
+    const newSiteInput = document.getElementById('new-site-input');
+    const newSiteModeSelect = document.getElementById('new-site-mode');
+    const addSiteBtn = document.getElementById('add-site-btn');
+    const saveSitesBtn = document.getElementById('save-sites-btn');
+    const sitesStatus = document.getElementById('sites-status');
+    const mergeVariantsCheckbox = document.getElementById('merge-variants-checkbox');
+    const ignoredParamsInput = document.getElementById('ignored-params-input');
+    const resetAddressesBtn = document.getElementById('reset-addresses-btn');
+    const saveAddressesBtn = document.getElementById('save-addresses-btn');
+    const addressesStatus = document.getElementById('addresses-status');
+    const previewExportsCheckbox = document.getElementById('preview-exports-checkbox');
+    const exportStatus = document.getElementById('export-status');
+    const syncBackendSelect = document.getElementById('sync-backend-select');
+    const syncHttpFields = document.getElementById('sync-http-fields');
+    const syncUrlInput = document.getElementById('sync-url-input');
+    const syncAuthorizationInput = document.getElementById('sync-authorization-input');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+    const saveSyncBtn = document.getElementById('save-sync-btn');
+    const syncStatus = document.getElementById('sync-status');
+    const shortcutsTable = document.getElementById('shortcuts-table');
+    const editShortcutsBtn = document.getElementById('edit-shortcuts-btn');
+
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            showStatus(paletteStatus, 'Could not load your settings. Try reopening this page.', true);
+            return;
+        }
+        renderPalette(response.settings.palette);
+        renderSiteRules(response.settings);
+        renderAddressRules(response.settings);
+        previewExportsCheckbox.checked = response.settings.previewExports;
+    });
+
+    fillSiteModeSelect(defaultSiteModeSelect);
+    fillSiteModeSelect(newSiteModeSelect);
+    newSiteModeSelect.value = 'disabled';
+
+    addSiteBtn.addEventListener('click', addSiteRule);
+    newSiteInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addSiteRule();
+    });
+
+    saveSitesBtn.addEventListener('click', () => {
+        const siteRules = {};
+        Array.from(siteRulesList.children).forEach(li => {
+            siteRules[li.dataset.host] = li.querySelector('.site-mode').value;
+        });
+        const changes = { defaultSiteMode: defaultSiteModeSelect.value, siteRules };
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings: changes }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                showStatus(sitesStatus, (response && response.error) || 'Saving failed.', true);
+            } else {
+                showStatus(sitesStatus, 'Site rules saved. Open tabs follow them right away.');
+            }
+        });
+    });
+
+    addColorBtn.addEventListener('click', () => {
+        paletteList.appendChild(renderPaletteEntry({ id: `color-${Date.now()}`, color: '#e9d8fd', label: '' }));
+        paletteList.lastElementChild.querySelector('.entry-label').focus();
+    });
+
+    resetPaletteBtn.addEventListener('click', () => {
+        if (!confirm("Reset your highlight colors to the defaults? Highlights using removed colors will show in the default color.")) return;
+        chrome.runtime.sendMessage({ action: 'resetSettings', keys: ['palette'] }, (response) => {
+            if (response && response.settings) {
+                renderPalette(response.settings.palette);
+                showStatus(paletteStatus, 'Colors reset.');
+            }
+        });
+    });
+
+    savePaletteBtn.addEventListener('click', () => {
+        const palette = Array.from(paletteList.children).map(li => ({
+            id: li.dataset.colorId,
+            color: li.querySelector('.entry-color').value,
+            label: li.querySelector('.entry-label').value.trim()
+        }));
+
+        if (palette.length === 0) {
+            showStatus(paletteStatus, 'Keep at least one color.', true);
+            return;
+        }
+        if (palette.some(entry => !entry.label)) {
+            showStatus(paletteStatus, 'Every color needs a label.', true);
+            return;
+        }
+
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings: { palette } }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                showStatus(paletteStatus, (response && response.error) || 'Saving failed.', true);
+            } else {
+                showStatus(paletteStatus, 'Colors saved.');
+            }
+        });
+    });
+
+    saveAddressesBtn.addEventListener('click', () => {
+        const changes = {
+            mergeUrlVariants: mergeVariantsCheckbox.checked,
+            ignoredUrlParams: parseIgnoredParams(ignoredParamsInput.value)
+        };
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings: changes }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                showStatus(addressesStatus, (response && response.error) || 'Saving failed.', true);
+            } else {
+                renderAddressRules(response.settings);
+                showStatus(addressesStatus, 'Address rules saved.');
+            }
+        });
+    });
+
+    resetAddressesBtn.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'resetSettings', keys: ['mergeUrlVariants', 'ignoredUrlParams'] }, (response) => {
+            if (response && response.settings) {
+                renderAddressRules(response.settings);
+                showStatus(addressesStatus, 'Address rules reset.');
+            }
+        });
+    });
+
+    previewExportsCheckbox.addEventListener('change', () => {
+        const previewExports = previewExportsCheckbox.checked;
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings: { previewExports } }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                previewExportsCheckbox.checked = !previewExports;
+                showStatus(exportStatus, (response && response.error) || 'Saving failed.', true);
+            } else {
+                showStatus(exportStatus, previewExports ? 'Exports will open as a preview.' : 'Exports will print right away.');
+            }
+        });
+    });
+
+    chrome.runtime.sendMessage({ action: 'getSyncConfig' }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            showStatus(syncStatus, 'Could not load your sync settings.', true);
+            return;
+        }
+        syncBackendSelect.value = response.config.backend;
+        syncUrlInput.value = response.config.url;
+        syncAuthorizationInput.value = response.config.authorization;
+        updateSyncFields();
+        showSyncStatus(response.sync);
+    });
+
+    syncBackendSelect.addEventListener('change', updateSyncFields);
+
+    saveSyncBtn.addEventListener('click', () => {
+        const config = {
+            backend: syncBackendSelect.value,
+            url: syncUrlInput.value,
+            authorization: syncAuthorizationInput.value
+        };
+        saveSyncBtn.disabled = true;
+        showStatus(syncStatus, config.backend === 'off' ? 'Saving…' : 'Saving and syncing…');
+        chrome.runtime.sendMessage({ action: 'saveSyncConfig', config }, (response) => {
+            saveSyncBtn.disabled = false;
+            if (chrome.runtime.lastError || !response || response.error) {
+                showStatus(syncStatus, (response && response.error) || 'Saving failed.', true);
+            } else {
+                showSyncStatus(response.sync);
+            }
+        });
+    });
+
+    syncNowBtn.addEventListener('click', () => {
+        syncNowBtn.disabled = true;
+        showStatus(syncStatus, 'Syncing…');
+        chrome.runtime.sendMessage({ action: 'syncNow' }, (response) => {
+            syncNowBtn.disabled = false;
+            if (response && response.sync) showSyncStatus(response.sync);
+        });
+    });
+
+    chrome.commands.getAll(renderShortcuts);
+
+    editShortcutsBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+
+    /**
+     * Shows the address and authorization fields only for the HTTP backend.
+     */
+    function updateSyncFields() {
+        syncHttpFields.hidden = syncBackendSelect.value !== 'http';
+    }
+
+    /**
+     * Describes the result of the last sync under the sync settings.
+     * @param {{status: string, error: string, lastSyncedAt: string|null, backendLabel: string}} sync - The sync status.
+     */
+    function showSyncStatus(sync) {
+        syncNowBtn.disabled = sync.status === 'off';
+        if (sync.status === 'off') {
+            showStatus(syncStatus, 'Sync is off. Highlights stay in this browser.');
+        } else if (sync.status === 'error') {
+            showStatus(syncStatus, `Sync failed: ${sync.error}`, true);
+        } else if (sync.lastSyncedAt) {
+            showStatus(syncStatus, `Last synced with ${sync.backendLabel} on ${new Date(sync.lastSyncedAt).toLocaleString()}.`);
+        } else {
+            showStatus(syncStatus, `Not synced with ${sync.backendLabel} yet.`);
+        }
+    }
+
+    /**
+     * Lists the extension's keyboard commands and their current shortcuts.
+     * @param {Array<chrome.commands.Command>} commands - The registered commands.
+     */
+    function renderShortcuts(commands) {
+        shortcutsTable.innerHTML = '';
+        commands.forEach(command => {
+            const row = shortcutsTable.insertRow();
+            row.insertCell().textContent = command.description || command.name;
+            const keys = row.insertCell();
+            if (command.shortcut) {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = command.shortcut;
+                keys.appendChild(kbd);
+            } else {
+                keys.textContent = 'Not set';
+                keys.className = 'unset';
+            }
+        });
+    }
+
+    /**
+     * Adds the site typed into the new-rule field to the list, or updates its rule if it's there.
+     * The rules take effect when saved.
+     */
+    function addSiteRule() {
+        const host = normalizeHostname(newSiteInput.value);
+        if (!host) {
+            showStatus(sitesStatus, 'Enter a site like example.com.', true);
+            return;
+        }
+        const existing = Array.from(siteRulesList.children).find(li => li.dataset.host === host);
+        if (existing) {
+            existing.querySelector('.site-mode').value = newSiteModeSelect.value;
+        } else {
+            siteRulesList.appendChild(renderSiteRule(host, newSiteModeSelect.value));
+        }
+        newSiteInput.value = '';
+        showStatus(sitesStatus, '');
+    }
+
+    /**
+     * Renders the default mode and the per-site rules.
+     * @param {{defaultSiteMode: string, siteRules: object}} settings - The user's settings.
+     */
+    function renderSiteRules(settings) {
+        defaultSiteModeSelect.value = settings.defaultSiteMode;
+        siteRulesList.innerHTML = '';
+        Object.keys(settings.siteRules).sort().forEach(host => {
+            siteRulesList.appendChild(renderSiteRule(host, settings.siteRules[host]));
+        });
+    }
+
+    /**
+     * Builds the row for one site rule.
+     * @param {string} host - The site's hostname.
+     * @param {string} mode - The site's mode.
+     * @returns {HTMLElement} The row element.
+     */
+    function renderSiteRule(host, mode) {
+        const li = siteRuleTemplate.content.firstElementChild.cloneNode(true);
+        li.dataset.host = host;
+        li.querySelector('.site-host').textContent = host;
+        const select = li.querySelector('.site-mode');
+        fillSiteModeSelect(select);
+        select.value = mode;
+        select.setAttribute('aria-label', `Mode for ${host}`);
+        li.querySelector('.remove-btn').addEventListener('click', () => li.remove());
+        return li;
+    }
+
+    /**
+     * Adds an option for each site mode to a select.
+     * @param {HTMLSelectElement} select - The select to fill.
+     */
+    function fillSiteModeSelect(select) {
+        Object.entries(SITE_MODES).forEach(([mode, label]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Renders the URL normalization settings.
+     * @param {{mergeUrlVariants: boolean, ignoredUrlParams: Array<string>}} settings - The user's settings.
+     */
+    function renderAddressRules(settings) {
+        mergeVariantsCheckbox.checked = settings.mergeUrlVariants;
+        ignoredParamsInput.value = settings.ignoredUrlParams.join('\n');
+    }
+
+    /**
+     * Renders the palette editor.
+     * @param {Array<object>} palette - The palette entries.
+     */
+    function renderPalette(palette) {
+        paletteList.innerHTML = '';
+        palette.forEach(entry => paletteList.appendChild(renderPaletteEntry(entry)));
+    }
+
+    /**
+     * Builds the editor row for one palette color.
+     * Colors keep their ID when edited, so existing highlights follow the change.
+     * @param {{id: string, color: string, label: string}} entry - The palette entry.
+     * @returns {HTMLElement} The row element.
+     */
+    function renderPaletteEntry(entry) {
+        const li = paletteEntryTemplate.content.firstElementChild.cloneNode(true);
+        li.dataset.colorId = entry.id;
+        li.querySelector('.entry-color').value = entry.color;
+        li.querySelector('.entry-label').value = entry.label;
+
+        li.querySelector('.move-up-btn').addEventListener('click', () => {
+            if (li.previousElementSibling) paletteList.insertBefore(li, li.previousElementSibling);
+        });
+        li.querySelector('.remove-btn').addEventListener('click', () => li.remove());
+        return li;
+    }
+
+    /**
+     * Shows a short status message under a section.
+     * @param {HTMLElement} el - The status element.
+     * @param {string} message - The message.
+     * @param {boolean} [isError] - Whether to style it as an error.
+     */
+    function showStatus(el, message, isError = false) {
+        el.textContent = message;
+        el.classList.toggle('error', isError);
+    }
+});
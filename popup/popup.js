@@ -6,104 +6,733 @@ document.addEventListener('DOMContentLoaded', () => {
     const exportBtn = document.getElementById('export-btn');
     const highlightItemTemplate = document.getElementById('highlight-item-template');
     const exportHighlightsBtn = document.getElementById('export-highlights-btn');
+    const sidebarBtn = document.getElementById('sidebar-btn');
+    const libraryBtn = document.getElementById('library-btn');
+    const reviewBtn = document.getElementById('review-btn');
+    const exportFormatSelect = document.getElementById('export-format');
+    const downloadBtn = document.getElementById('download-btn');
+    const copyBtn = document.getElementById('copy-btn');
+    const exportStatus = document.getElementById('export-status');
+    const searchInput = document.getElementById('search-input');
+    const sortSelect = document.getElementById('sort-select');
+    const tagFilters = document.getElementById('tag-filters');
+    const orphansSummary = document.getElementById('orphans-summary');
+    const orphansCount = document.getElementById('orphans-count');
+    const orphansFilterBtn = document.getElementById('orphans-filter-btn');
+    const syncBar = document.getElementById('sync-bar');
+    const syncStatus = document.getElementById('sync-status');
+    const syncNowBtn = document.getElementById('sync-now-btn');
+    const pageNotice = document.getElementById('page-notice');
+    const siteBar = document.getElementById('site-bar');
+    const siteToggle = document.getElementById('site-toggle');
+    const siteName = document.getElementById('site-name');
+    const relatedPages = document.getElementById('related-pages');
+    const relatedPagesSummary = document.getElementById('related-pages-summary');
+    const relatedPagesList = document.getElementById('related-pages-list');
+    const mergeRelatedBtn = document.getElementById('merge-related-btn');
     let activeTabId;
+    let activeTab = null;
+    let settings = null;
+    let siteHostname = ''; // The active tab's site, as the site rules store it
+    let pageIdentity = null; // { pageKey, fingerprint } of the active tab's page, from its content script
+    let relatedPageKeys = []; // Pages with highlights that look like they belong to this one
+    let palette = [];
+    let currentPage = null; // { url, title } of the active tab's page
+    let currentHighlights = [];
+    let activeTags = new Set(); // Only highlights with every one of these tags are shown
+    let orphanedIds = new Set(); // Highlights the page couldn't place
+    let showOnlyOrphans = false;
+    let isReadOnly = false; // True when showing stored highlights because the page can't be reached
 
-    // Get the active tab and request its highlights
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0] && tabs[0].id) {
-            activeTabId = tabs[0].id;
-            chrome.tabs.sendMessage(activeTabId, { action: 'getHighlights' }, (response) => {
-                if (chrome.runtime.lastError) {
-                    console.error(chrome.runtime.lastError.message);
-                    highlightsList.innerHTML = '<p>Could not connect to the page. Try reloading the page and opening the popup again.</p>';
-                } else if (response && response.highlights) {
-                    renderHighlights(response.highlights);
-                }
-            });
+    // Load the color palette and site rules, then get the active tab and request its highlights
+    chrome.runtime.sendMessage({ action: 'getSettings' }, (settingsResponse) => {
+        if (settingsResponse && settingsResponse.settings) {
+            settings = settingsResponse.settings;
+            palette = settings.palette;
+        }
+        chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+            if (tabs[0] && tabs[0].id) {
+                activeTab = tabs[0];
+                activeTabId = activeTab.id;
+                showSiteToggle();
+                loadPageHighlights();
+            }
+        });
+    });
+
+    siteToggle.addEventListener('change', () => {
+        const siteRules = { ...settings.siteRules };
+        if (siteToggle.checked) {
+            siteRules[siteHostname] = 'disabled';
+        } else {
+            delete siteRules[siteHostname];
+            // A rule for a parent domain, or the default for other sites, could still turn it off
+            if (getSiteMode({ ...settings, siteRules }, siteHostname) === 'disabled') {
+                siteRules[siteHostname] = 'enabled';
+            }
         }
+        siteToggle.disabled = true;
+        chrome.runtime.sendMessage({ action: 'saveSettings', settings: { siteRules } }, (response) => {
+            siteToggle.disabled = false;
+            if (chrome.runtime.lastError || !response || !response.success) {
+                siteToggle.checked = !siteToggle.checked;
+                showPageNotice('Could not save the site setting.');
+                return;
+            }
+            settings = response.settings;
+            loadPageHighlights();
+        });
+    });
+
+    mergeRelatedBtn.addEventListener('click', () => {
+        mergeRelatedBtn.disabled = true;
+        chrome.runtime.sendMessage({
+            action: 'mergeRelatedPages',
+            ...pageIdentity,
+            sourceKeys: relatedPageKeys,
+            url: currentPage.url,
+            title: currentPage.title
+        }, (response) => {
+            mergeRelatedBtn.disabled = false;
+            if (chrome.runtime.lastError || !response || !response.success) {
+                relatedPagesSummary.textContent = 'Could not move the highlights.';
+                return;
+            }
+            relatedPages.hidden = true;
+            // Wait for the page to pick up the moved highlights before listing them
+            chrome.tabs.sendMessage(activeTabId, { action: 'pageHighlightsChanged', pageKeys: [pageIdentity.pageKey] }, { frameId: 0 }, () => {
+                void chrome.runtime.lastError;
+                loadPageHighlights();
+            });
+        });
     });
     
     exportBtn.addEventListener('click', () => {
         if(activeTabId) {
-            chrome.tabs.sendMessage(activeTabId, { action: 'exportToPDF' });
+            chrome.tabs.sendMessage(activeTabId, { action: 'exportToPDF' }, { frameId: 0 });
         }
     });
      exportHighlightsBtn.addEventListener('click', () => {
         if(activeTabId) {
-            chrome.tabs.sendMessage(activeTabId, { action: 'exportHighlightsOnly' });
+            // Export what's listed, so a search or tag filter exports just those highlights
+            const highlightIds = getVisibleHighlights().map(h => h.id);
+            chrome.tabs.sendMessage(activeTabId, { action: 'exportHighlightsOnly', highlightIds }, { frameId: 0 });
         }
     });
+    sidebarBtn.addEventListener('click', () => {
+        if (activeTabId) {
+            chrome.tabs.sendMessage(activeTabId, { action: 'toggleSidebar' }, { frameId: 0 });
+            window.close(); // Get out of the way of the sidebar
+        }
+    });
+    libraryBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('library/index.html') });
+    });
+    reviewBtn.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('review/index.html') });
+    });
+
+    chrome.runtime.sendMessage({ action: 'getSyncStatus' }, (response) => {
+        if (response && response.sync) renderSyncStatus(response.sync);
+    });
+
+    syncNowBtn.addEventListener('click', () => {
+        syncNowBtn.disabled = true;
+        syncStatus.textContent = 'Syncing…';
+        chrome.runtime.sendMessage({ action: 'syncNow' }, (response) => {
+            syncNowBtn.disabled = false;
+            if (response && response.sync) renderSyncStatus(response.sync);
+        });
+    });
+
+    orphansFilterBtn.addEventListener('click', () => {
+        showOnlyOrphans = !showOnlyOrphans;
+        renderList();
+    });
+
+    searchInput.addEventListener('input', renderList);
+    sortSelect.addEventListener('change', renderList);
+
+    Object.entries(EXPORT_FORMATS).forEach(([format, spec]) => {
+        const option = document.createElement('option');
+        option.value = format;
+        option.textContent = spec.label;
+        exportFormatSelect.appendChild(option);
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const file = buildSelectedExport();
+        if (!file) return;
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+        link.download = file.filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        showExportStatus(`Saved ${file.filename}`);
+    });
+
+    copyBtn.addEventListener('click', () => {
+        const file = buildSelectedExport();
+        if (!file) return;
+        navigator.clipboard.writeText(file.content)
+            .then(() => showExportStatus('Copied to clipboard.'))
+            .catch(() => showExportStatus('Copying failed.'));
+    });
 
     /**
-     * Renders the list of highlights in the popup.
-     * @param {Array<object>} highlights - The highlights to render.
+     * Formats the listed highlights in the selected export format.
+     * @returns {object|null} The export from `formatHighlights`, or null if there's nothing to export.
      */
-    function renderHighlights(highlights) {
+    function buildSelectedExport() {
+        const visible = getVisibleHighlights();
+        if (!currentPage || visible.length === 0) {
+            showExportStatus('There are no highlights to export.');
+            return null;
+        }
+        return formatHighlights(exportFormatSelect.value, currentPage, visible, palette);
+    }
+
+    /**
+     * Shows how the last sync went. The bar stays hidden while sync is off.
+     * @param {{status: string, error: string, lastSyncedAt: string|null, backendLabel: string}} sync - The sync status.
+     */
+    function renderSyncStatus(sync) {
+        syncBar.hidden = sync.status === 'off';
+        syncBar.classList.toggle('error', sync.status === 'error');
+        if (sync.status === 'syncing') {
+            syncStatus.textContent = `Syncing with ${sync.backendLabel}…`;
+        } else if (sync.status === 'error') {
+            syncStatus.textContent = `Sync failed: ${sync.error}`;
+        } else if (sync.lastSyncedAt) {
+            syncStatus.textContent = `Synced with ${sync.backendLabel} ${formatSyncTime(sync.lastSyncedAt)}`;
+        } else {
+            syncStatus.textContent = `Not synced with ${sync.backendLabel} yet`;
+        }
+        syncStatus.title = syncStatus.textContent;
+    }
+
+    /**
+     * Describes when something happened, relative to now for recent times.
+     * @param {string} isoDate - The time.
+     * @returns {string} e.g. "just now", "5 min ago" or a date and time.
+     */
+    function formatSyncTime(isoDate) {
+        const minutes = Math.floor((Date.now() - Date.parse(isoDate)) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        return `on ${new Date(isoDate).toLocaleString()}`;
+    }
+
+    /**
+     * Briefly shows a message under the export controls.
+     * @param {string} message - The message.
+     */
+    function showExportStatus(message) {
+        exportStatus.textContent = message;
+        clearTimeout(showExportStatus.timer);
+        showExportStatus.timer = setTimeout(() => { exportStatus.textContent = ''; }, 3000);
+    }
+
+    /**
+     * Shows the highlights saved for a page that can't be reached, e.g. a tab that was
+     * open before the extension was installed or updated, or a site that's turned off.
+     * @param {string} url - The tab's URL.
+     * @param {string} message - Why the page itself isn't being used.
+     */
+    function showStoredHighlights(url, message) {
+        const pageKey = `highlights-${normalizePageUrl(url, settings || {})}`;
+        chrome.runtime.sendMessage({ action: 'getPageHighlights', pageKey }, (response) => {
+            isReadOnly = true;
+            sidebarBtn.disabled = true;
+            renderHighlights((response && response.highlights) || []);
+            showPageNotice(message);
+        });
+    }
+
+    /**
+     * Shows the "Disable on this site" switch for pages that belong to a site.
+     */
+    function showSiteToggle() {
+        siteHostname = normalizeHostname(new URL(activeTab.url || 'about:blank').hostname);
+        if (!siteHostname || !settings) return;
+        siteName.textContent = siteHostname;
+        siteToggle.checked = getSiteMode(settings, siteHostname) === 'disabled';
+        siteBar.hidden = false;
+    }
+
+    /**
+     * Gets the active tab's highlights from the page, starting the highlighter there
+     * first in case the site only runs it when asked. Falls back to the stored
+     * highlights when the page can't be reached or the site is turned off.
+     */
+    function loadPageHighlights() {
+        isReadOnly = false;
+        sidebarBtn.disabled = false;
+        relatedPages.hidden = true;
+        showPageNotice('');
+        if (settings && siteHostname && getSiteMode(settings, siteHostname) === 'disabled') {
+            currentPage = { url: activeTab.url, title: activeTab.title };
+            showStoredHighlights(activeTab.url, 'Highlighting is turned off on this site.');
+            return;
+        }
+        chrome.tabs.sendMessage(activeTabId, { action: 'activate' }, () => {
+            void chrome.runtime.lastError; // Pages without our content script are handled below
+            chrome.tabs.sendMessage(activeTabId, { action: 'getHighlights' }, { frameId: 0 }, (response) => {
+                if (chrome.runtime.lastError) {
+                    console.error(chrome.runtime.lastError.message);
+                    currentPage = { url: activeTab.url, title: activeTab.title };
+                    showStoredHighlights(activeTab.url, 'Could not connect to the page. Try reloading the page and opening the popup again.');
+                } else if (response && response.highlights) {
+                    currentPage = response.page;
+                    pageIdentity = { pageKey: response.pageKey, fingerprint: response.fingerprint };
+                    renderHighlights(response.highlights, response.orphanedIds);
+                    findRelatedPages();
+                }
+            });
+        });
+    }
+
+    /**
+     * Looks for highlights saved for this page under another URL, e.g. before a
+     * tracking parameter was ignored or after the article moved, and offers to move them here.
+     */
+    function findRelatedPages() {
+        chrome.runtime.sendMessage({ action: 'findRelatedPages', ...pageIdentity }, (response) => {
+            const pages = (response && response.pages) || [];
+            relatedPageKeys = pages.map(page => page.pageKey);
+            relatedPages.hidden = pages.length === 0;
+            if (pages.length === 0) return;
+
+            const count = pages.reduce((sum, page) => sum + page.count, 0);
+            relatedPagesSummary.textContent = `${count} ${count === 1 ? 'highlight was' : 'highlights were'} saved for this page under ${pages.length === 1 ? 'another address' : 'other addresses'}:`;
+            relatedPagesList.innerHTML = '';
+            pages.forEach(page => {
+                const li = document.createElement('li');
+                const reason = page.reason === 'content' ? 'same text' : 'same page';
+                li.textContent = `${page.url} (${page.count}, ${reason})`;
+                li.title = page.title;
+                relatedPagesList.appendChild(li);
+            });
+        });
+    }
+
+
+    /**
+     * Shows a line about the page above the list, or hides it.
+     * @param {string} message - The message, or an empty string to hide it.
+     */
+    function showPageNotice(message) {
+        pageNotice.textContent = message;
+        pageNotice.hidden = !message;
+    }
+
+    /**
+     * Shows a new set of highlights in the popup.
+     * @param {Array<object>} highlights - The page's highlights.
+     * @param {Array<string>} [orphaned] - The IDs of those the page couldn't place.
+     */
+    function renderHighlights(highlights, orphaned = []) {
+        currentHighlights = highlights;
+        orphanedIds = new Set(orphaned);
+        renderTagFilters();
+        renderList();
+    }
+
+    /**
+     * Renders a chip for every tag on the page. Clicking chips narrows the list to
+     * highlights with all the selected tags.
+     */
+    function renderTagFilters() {
+        tagFilters.innerHTML = '';
+        const tags = collectTags(currentHighlights);
+
+        // Drop filters for tags that are gone, e.g. after their last highlight was deleted
+        activeTags = new Set(tags.filter(tag => activeTags.has(tag)));
+
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.className = 'tag-chip';
+            chip.textContent = tag;
+            chip.classList.toggle('active', activeTags.has(tag));
+            chip.setAttribute('aria-pressed', String(activeTags.has(tag)));
+            chip.addEventListener('click', () => {
+                if (activeTags.has(tag)) activeTags.delete(tag);
+                else activeTags.add(tag);
+                chip.classList.toggle('active', activeTags.has(tag));
+                chip.setAttribute('aria-pressed', String(activeTags.has(tag)));
+                renderList();
+            });
+            tagFilters.appendChild(chip);
+        });
+        tagFilters.hidden = tags.length === 0;
+    }
+
+    /**
+     * Applies the search box, tag filters and sort order to the page's highlights.
+     * @returns {Array<object>} The highlights to list, in order.
+     */
+    function getVisibleHighlights() {
+        const terms = searchInput.value.toLowerCase().split(/\s+/).filter(Boolean);
+        const visible = currentHighlights.filter(highlight =>
+            [...activeTags].every(tag => hasTag(highlight, tag)) && matchesSearch(highlight, terms) &&
+            (!showOnlyOrphans || orphanedIds.has(highlight.id))
+        );
+        return sortHighlights(visible, sortSelect.value);
+    }
+
+    /**
+     * Checks whether a highlight's text, note or tags contain every search term.
+     * @param {object} highlight - The highlight to test.
+     * @param {Array<string>} terms - Lowercased search terms.
+     * @returns {boolean} True if the highlight matches.
+     */
+    function matchesSearch(highlight, terms) {
+        const haystack = `${highlight.text} ${highlight.note || ''} ${formatTags(highlight.tags)}`.toLowerCase();
+        return terms.every(term => haystack.includes(term));
+    }
+
+    /**
+     * Sorts highlights without changing the original list.
+     * @param {Array<object>} highlights - The highlights.
+     * @param {string} order - "document", "newest" or "color".
+     * @returns {Array<object>} The sorted highlights.
+     */
+    function sortHighlights(highlights, order) {
+        const sorted = highlights.slice();
+        if (order === 'newest') {
+            return sorted.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        }
+        if (order === 'color') {
+            const colorIndex = h => palette.indexOf(getPaletteEntry(h.color));
+            return sorted.sort((a, b) => colorIndex(a) - colorIndex(b) || compareDocumentOrder(a, b));
+        }
+        return sorted.sort(compareDocumentOrder);
+    }
+
+    /**
+     * Orders highlights as they appear on the page. Highlights inside embedded frames
+     * come after the page's own, and ones saved without a text position come last.
+     * @returns {number} A negative number if `a` comes first, positive if `b` does.
+     */
+    function compareDocumentOrder(a, b) {
+        const start = h => (h.position ? h.position.start : Number.MAX_SAFE_INTEGER);
+        return (a.frame ? 1 : 0) - (b.frame ? 1 : 0) ||
+            start(a) - start(b) ||
+            new Date(a.createdAt) - new Date(b.createdAt);
+    }
+
+    /**
+     * Renders the highlights that pass the current search and filters.
+     */
+    function renderList() {
         highlightsList.innerHTML = ''; // Clear existing content
+        renderOrphansSummary();
 
-        if (highlights.length === 0) {
+        const visible = getVisibleHighlights();
+        if (visible.length === 0) {
+            noHighlightsMsg.textContent = currentHighlights.length ? 'No highlights match your search.' : 'No highlights on this page yet.';
             highlightsList.appendChild(noHighlightsMsg);
             noHighlightsMsg.style.display = 'block';
             return;
         }
 
         noHighlightsMsg.style.display = 'none';
+        visible.forEach(highlight => highlightsList.appendChild(renderHighlightItem(highlight)));
+    }
 
-        highlights.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-
-        highlights.forEach(highlight => {
-            const item = highlightItemTemplate.content.cloneNode(true);
-            const highlightItem = item.querySelector('.highlight-item');
-            const highlightText = item.querySelector('.highlight-text');
-            const highlightNote = item.querySelector('.highlight-note');
-
-            highlightItem.dataset.highlightId = highlight.id;
-            highlightText.textContent = `"${highlight.text}"`;
-            
-            if (highlight.note) {
-                highlightNote.textContent = highlight.note;
-                highlightNote.style.display = 'block';
-            } else {
-                 highlightNote.style.display = 'none';
-            }
+    /**
+     * Says how many highlights the page couldn't place, so they don't go unnoticed.
+     */
+    function renderOrphansSummary() {
+        const count = currentHighlights.filter(h => orphanedIds.has(h.id)).length;
+        if (count === 0) showOnlyOrphans = false;
+        orphansSummary.hidden = count === 0;
+        orphansCount.textContent = `${count} ${count === 1 ? 'highlight was' : 'highlights were'} not found on this page.`;
+        orphansFilterBtn.textContent = showOnlyOrphans ? 'Show all' : 'Show only these';
+    }
+
+    /**
+     * Builds the list item for one highlight, with its actions.
+     * @param {object} highlight - The highlight.
+     * @returns {DocumentFragment} The rendered item.
+     */
+    function renderHighlightItem(highlight) {
+        const item = highlightItemTemplate.content.cloneNode(true);
+        const highlightItem = item.querySelector('.highlight-item');
+        const highlightText = item.querySelector('.highlight-text');
+        const highlightNote = item.querySelector('.highlight-note');
+        const colorSelect = item.querySelector('.color-select');
+
+        highlightItem.dataset.highlightId = highlight.id;
+        highlightText.textContent = `"${highlight.text}"`;
+        showColor(highlightItem, highlight.color);
+        showTags(highlightItem, highlight.tags);
+
+        palette.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = entry.label;
+            colorSelect.appendChild(option);
+        });
+        colorSelect.value = getPaletteEntry(highlight.color).id;
+
+        showNote(highlightNote, highlight.note);
+
+        if (isReadOnly) {
+            item.querySelector('.highlight-actions').remove();
+            return item;
+        }
 
-            // --- Add event listeners for action buttons ---
+        // --- Add event listeners for action buttons ---
 
-            item.querySelector('.go-to-btn').addEventListener('click', () => {
+        item.querySelector('.link-btn').addEventListener('click', () => {
+            navigator.clipboard.writeText(createHighlightLink(currentPage.url, highlight))
+                .then(() => showExportStatus('Link to highlight copied.'))
+                .catch(() => showExportStatus('Could not copy the link.'));
+        });
+
+        const goToBtn = item.querySelector('.go-to-btn');
+        if (orphanedIds.has(highlight.id)) {
+            highlightItem.classList.add('orphaned');
+            goToBtn.remove(); // There's nowhere to go
+            setUpRecovery(item.querySelector('.recovery'), highlight);
+        } else {
+            goToBtn.addEventListener('click', () => {
                 chrome.tabs.sendMessage(activeTabId, { action: 'goToHighlight', highlightId: highlight.id });
                 window.close(); // Close popup after action
             });
+        }
+
+        const noteEditor = item.querySelector('.note-editor');
+        const noteInput = noteEditor.querySelector('textarea');
+        const closeEditor = () => {
+            noteEditor.hidden = true;
+            showNote(highlightNote, highlight.note);
+        };
+        const saveEditor = () => {
+            const newNote = noteInput.value;
+            // The editor stays open if the page couldn't save, so nothing typed is lost
+            sendHighlightChange({ action: 'updateNote', highlightId: highlight.id, note: newNote }, () => {
+                highlight.note = newNote;
+                closeEditor();
+            });
+        };
+
+        item.querySelector('.edit-btn').addEventListener('click', () => {
+            noteInput.value = highlight.note || '';
+            highlightNote.style.display = 'none';
+            noteEditor.hidden = false;
+            noteInput.focus();
+        });
+        noteEditor.querySelector('.save-note-btn').addEventListener('click', saveEditor);
+        noteEditor.querySelector('.cancel-note-btn').addEventListener('click', closeEditor);
+        noteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) saveEditor();
+            if (e.key === 'Escape') {
+                e.preventDefault(); // Escape would otherwise close the popup
+                closeEditor();
+            }
+        });
+
+        const tagsEditor = item.querySelector('.tags-editor');
+        const tagsInput = tagsEditor.querySelector('input');
+        const highlightTags = item.querySelector('.highlight-tags');
+        const closeTagsEditor = () => {
+            tagsEditor.hidden = true;
+            highlightTags.hidden = false;
+        };
+        const saveTagsEditor = () => {
+            const tags = parseTags(tagsInput.value);
+            sendHighlightChange({ action: 'updateTags', highlightId: highlight.id, tags }, () => {
+                highlight.tags = tags;
+                renderTagFilters();
+                renderList();
+            });
+        };
 
-            item.querySelector('.edit-btn').addEventListener('click', () => {
-                const newNote = prompt("Edit your note:", highlight.note || "");
-                if (newNote !== null) { // User didn't cancel
-                    chrome.tabs.sendMessage(activeTabId, { action: 'updateNote', highlightId: highlight.id, note: newNote }, () => {
-                        // Optimistically update UI
-                        highlight.note = newNote;
-                        if (newNote) {
-                            highlightNote.textContent = newNote;
-                            highlightNote.style.display = 'block';
-                        } else {
-                            highlightNote.style.display = 'none';
-                        }
-                    });
+        item.querySelector('.tags-btn').addEventListener('click', () => {
+            tagsInput.value = formatTags(highlight.tags);
+            highlightTags.hidden = true;
+            tagsEditor.hidden = false;
+            tagsInput.focus();
+        });
+        tagsEditor.querySelector('.save-tags-btn').addEventListener('click', saveTagsEditor);
+        tagsEditor.querySelector('.cancel-tags-btn').addEventListener('click', closeTagsEditor);
+        tagsInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') saveTagsEditor();
+            if (e.key === 'Escape') {
+                e.preventDefault(); // Escape would otherwise close the popup
+                closeTagsEditor();
+            }
+        });
+
+        const reviewToggle = item.querySelector('.review-btn');
+        showReviewExcluded(reviewToggle, highlight.excludeFromReview);
+        reviewToggle.addEventListener('click', () => {
+            const excluded = !highlight.excludeFromReview;
+            // The schedule is stored with the page, so this goes straight to storage; the page reloads it
+            chrome.runtime.sendMessage({
+                action: 'setReviewExcluded',
+                pageKey: pageIdentity.pageKey,
+                highlightId: highlight.id,
+                excluded
+            }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) {
+                    showExportStatus('Could not change the review setting.');
+                    return;
                 }
+                highlight.excludeFromReview = excluded;
+                showReviewExcluded(reviewToggle, excluded);
+            });
+        });
+
+        colorSelect.addEventListener('change', () => {
+            const color = colorSelect.value;
+            sendHighlightChange({ action: 'recolorHighlight', highlightId: highlight.id, color }, () => {
+                highlight.color = color;
+                showColor(highlightItem, color);
+            }, () => {
+                colorSelect.value = getPaletteEntry(highlight.color).id;
             });
+        });
+
+        item.querySelector('.delete-btn').addEventListener('click', () => {
+            if (confirm("Are you sure you want to delete this highlight?")) {
+                sendHighlightChange({ action: 'deleteHighlight', highlightId: highlight.id }, () => {
+                    currentHighlights = currentHighlights.filter(h => h.id !== highlight.id);
+                    orphanedIds.delete(highlight.id);
+                    renderTagFilters();
+                    renderList();
+                    showExportStatus('Highlight deleted.'); // Read out by screen readers too
+                });
+            }
+        });
+
+        return item;
+    }
+
+    /**
+     * Sends a change to one of the page's highlights, and updates the popup only once
+     * the page has made it.
+     * @param {object} message - The message for the content script.
+     * @param {function} onSuccess - Called once the page has made the change.
+     * @param {function} [onFailure] - Called after the error is shown, to undo any change to the popup.
+     */
+    function sendHighlightChange(message, onSuccess, onFailure) {
+        chrome.tabs.sendMessage(activeTabId, message, (response) => {
+            if (chrome.runtime.lastError || !response || !response.success) {
+                console.error(chrome.runtime.lastError || response);
+                showExportStatus('Could not update the highlight. Try reloading the page.');
+                if (onFailure) onFailure();
+                return;
+            }
+            onSuccess();
+        });
+    }
+
+    /**
+     * Wires up the recovery options of a highlight the page couldn't place: attach it
+     * to the passage selected on the page, or to the closest match once confirmed.
+     * Deleting works as for any highlight.
+     * @param {HTMLElement} recovery - The item's recovery area.
+     * @param {object} highlight - The orphaned highlight.
+     */
+    function setUpRecovery(recovery, highlight) {
+        const matchArea = recovery.querySelector('.recovery-match');
+        const matchText = recovery.querySelector('.match-text');
+        const recoveryError = recovery.querySelector('.recovery-error');
+        let match = null;
 
-            item.querySelector('.delete-btn').addEventListener('click', () => {
-                if (confirm("Are you sure you want to delete this highlight?")) {
-                    chrome.tabs.sendMessage(activeTabId, { action: 'deleteHighlight', highlightId: highlight.id }, () => {
-                        // Optimistically remove from UI
-                        highlightItem.remove();
-                        if (highlightsList.children.length === 0) {
-                            highlightsList.appendChild(noHighlightsMsg);
-                            noHighlightsMsg.style.display = 'block';
-                        }
-                    });
+        const reattach = (selectors) => {
+            recoveryError.textContent = '';
+            chrome.tabs.sendMessage(activeTabId, { action: 'reattachHighlight', highlightId: highlight.id, selectors }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) {
+                    recoveryError.textContent = (response && response.error) || 'Could not reach the page.';
+                } else {
+                    loadPageHighlights();
                 }
             });
+        };
 
-            highlightsList.appendChild(item);
+        recovery.hidden = false;
+        recovery.querySelector('.attach-selection-btn').addEventListener('click', () => reattach());
+        recovery.querySelector('.find-match-btn').addEventListener('click', () => {
+            recoveryError.textContent = '';
+            chrome.tabs.sendMessage(activeTabId, { action: 'findClosestMatch', highlightId: highlight.id }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) {
+                    recoveryError.textContent = (response && response.error) || 'Could not reach the page.';
+                    return;
+                }
+                match = response.match;
+                matchText.textContent = `Closest match (${Math.round(match.overlap * 100)}% of the words): "${match.text}"`;
+                matchArea.hidden = false;
+            });
         });
+        recovery.querySelector('.confirm-match-btn').addEventListener('click', () => reattach(match.selectors));
+        recovery.querySelector('.cancel-match-btn').addEventListener('click', () => {
+            match = null;
+            matchArea.hidden = true;
+        });
+    }
+
+    /**
+     * Shows a highlight's note, rendered from Markdown, or hides the note area if there isn't one.
+     * @param {HTMLElement} highlightNote - The note element.
+     * @param {string} [note] - The note.
+     */
+    function showNote(highlightNote, note) {
+        if (note) {
+            highlightNote.innerHTML = renderMarkdown(note);
+            highlightNote.style.display = 'block';
+        } else {
+            highlightNote.style.display = 'none';
+        }
+    }
+
+    /**
+     * Shows a highlight's tags on its list item.
+     * @param {HTMLElement} highlightItem - The list item.
+     * @param {Array<string>} [tags] - The tags.
+     */
+    function showTags(highlightItem, tags) {
+        const container = highlightItem.querySelector('.highlight-tags');
+        container.innerHTML = '';
+        (tags || []).forEach(tag => {
+            const span = document.createElement('span');
+            span.className = 'tag';
+            span.textContent = tag;
+            container.appendChild(span);
+        });
+    }
+
+    /**
+     * Shows a highlight's color and label on its list item.
+     * @param {HTMLElement} highlightItem - The list item.
+     * @param {string} colorId - The palette color.
+     */
+    function showColor(highlightItem, colorId) {
+        const entry = getPaletteEntry(colorId);
+        highlightItem.querySelector('.highlight-text').style.borderLeftColor = entry.color;
+        highlightItem.querySelector('.color-dot').style.backgroundColor = entry.color;
+        highlightItem.querySelector('.color-label').textContent = entry.label;
+    }
+
+    /**
+     * Shows on its toggle button whether a highlight is left out of review mode.
+     * @param {HTMLElement} button - The item's review button.
+     * @param {boolean} [excluded] - Whether the highlight is excluded.
+     */
+    function showReviewExcluded(button, excluded) {
+        button.setAttribute('aria-pressed', String(Boolean(excluded)));
+        button.title = excluded ? 'Left out of review. Click to review it again' : 'Leave out of review';
+    }
+
+    /**
+     * Looks up a palette color, falling back to the default for unknown or removed colors.
+     * @param {string} [colorId] - The palette color ID.
+     * @returns {{id: string, color: string, label: string}} The palette entry.
+     */
+    function getPaletteEntry(colorId) {
+        return palette.find(entry => entry.id === colorId) || palette[0] || { id: 'yellow', color: '#fefcbf', label: 'Highlight' };
     }
 });
\ No newline at end of file
@@ -0,0 +1,162 @@
+// review/review.js
+
+document.addEventListener('DOMContentLoaded', () => {
+    const progress = document.getElementById('progress');
+    const statusMsg = document.getElementById('status-msg');
+    const card = document.getElementById('review-card');
+    const cardQuote = card.querySelector('.card-quote');
+    const cardNote = card.querySelector('.card-note');
+    const cardTags = card.querySelector('.card-tags');
+    const sourceLink = card.querySelector('.source-link');
+    const gradeButtons = Array.from(card.querySelectorAll('.grade-btn'));
+    const excludeBtn = document.getElementById('exclude-btn');
+    const cardError = document.getElementById('card-error');
+    let pages = [];
+    let queue = []; // Today's entries still to review; "again" puts one back at the end
+    let reviewed = 0;
+    let isSaving = false;
+
+    loadQueue();
+
+    gradeButtons.forEach(button => {
+        button.addEventListener('click', () => gradeCurrent(button.dataset.grade));
+    });
+
+    excludeBtn.addEventListener('click', excludeCurrent);
+
+    sourceLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        const entry = queue[0];
+        if (!isSafeUrl(entry.url)) return; // Imported or synced records could carry any URL
+        chrome.runtime.sendMessage({ action: 'openHighlight', url: entry.url, highlightId: entry.highlight.id });
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (card.hidden || e.ctrlKey || e.metaKey || e.altKey) return;
+        const index = ['1', '2', '3', '4'].indexOf(e.key);
+        if (index !== -1) gradeCurrent(REVIEW_GRADES[index]);
+    });
+
+    /**
+     * Loads every page's highlights and builds today's queue from them.
+     */
+    function loadQueue() {
+        chrome.runtime.sendMessage({ action: 'getAllPages' }, (response) => {
+            if (chrome.runtime.lastError || !response || response.error) {
+                console.error(chrome.runtime.lastError || response);
+                statusMsg.textContent = 'Could not load your highlights. Try reopening this page.';
+                return;
+            }
+            pages = response.pages;
+            queue = buildReviewQueue(pages);
+            showCurrent();
+        });
+    }
+
+    /**
+     * Shows the entry at the front of the queue, or a message once there's nothing left.
+     */
+    function showCurrent() {
+        cardError.textContent = '';
+        if (queue.length === 0) {
+            card.hidden = true;
+            statusMsg.hidden = false;
+            statusMsg.textContent = describeFinished();
+            progress.textContent = reviewed ? `${reviewed} reviewed` : '';
+            return;
+        }
+
+        const { url, title, highlight } = queue[0];
+        statusMsg.hidden = true;
+        card.hidden = false;
+        progress.textContent = `${queue.length} left` + (reviewed ? ` · ${reviewed} reviewed` : '');
+
+        cardQuote.textContent = highlight.text;
+        if (highlight.note) {
+            cardNote.innerHTML = renderMarkdown(highlight.note);
+            cardNote.hidden = false;
+        } else {
+            cardNote.hidden = true;
+        }
+        cardTags.innerHTML = '';
+        (highlight.tags || []).forEach(tag => {
+            const span = document.createElement('span');
+            span.className = 'tag';
+            span.textContent = tag;
+            cardTags.appendChild(span);
+        });
+        sourceLink.textContent = title || url;
+        sourceLink.href = isSafeUrl(url) ? url : '#';
+
+        gradeButtons.forEach(button => {
+            const days = getNextInterval(highlight.review, button.dataset.grade);
+            button.querySelector('.grade-interval').textContent = formatInterval(days);
+            button.title = `Review again in ${days} day${days === 1 ? '' : 's'} (key ${REVIEW_GRADES.indexOf(button.dataset.grade) + 1})`;
+        });
+        gradeButtons[2].focus();
+    }
+
+    /**
+     * Explains why there's nothing to review.
+     * @returns {string} The message.
+     */
+    function describeFinished() {
+        const hasHighlights = pages.some(page => page.highlights.length > 0);
+        if (!hasHighlights) return "You haven't highlighted anything yet. Highlights you make will show up here for review.";
+        const next = getNextReviewDate(pages);
+        const nextText = next ? ` Next review: ${new Date(next).toLocaleDateString()}.` : '';
+        return reviewed ? `All done for today.${nextText}` : `Nothing is due today.${nextText}`;
+    }
+
+    /**
+     * Grades the current entry and moves on. A forgotten one comes back at the end of today's session.
+     * @param {string} grade - "again", "hard", "good" or "easy".
+     */
+    function gradeCurrent(grade) {
+        const entry = queue[0];
+        if (!entry || isSaving) return;
+        isSaving = true;
+        chrome.runtime.sendMessage({ action: 'gradeReview', pageKey: entry.pageKey, highlightId: entry.highlight.id, grade }, (response) => {
+            isSaving = false;
+            if (chrome.runtime.lastError || !response || response.error) {
+                cardError.textContent = (response && response.error) || 'Could not save the review. Try again.';
+                return;
+            }
+            entry.highlight.review = response.review;
+            queue.shift();
+            if (grade === 'again') queue.push(entry);
+            reviewed++;
+            showCurrent();
+        });
+    }
+
+    /**
+     * Leaves the current entry out of review from now on.
+     */
+    function excludeCurrent() {
+        const entry = queue[0];
+        if (!entry || isSaving) return;
+        isSaving = true;
+        chrome.runtime.sendMessage({ action: 'setReviewExcluded', pageKey: entry.pageKey, highlightId: entry.highlight.id, excluded: true }, (response) => {
+            isSaving = false;
+            if (chrome.runtime.lastError || !response || response.error) {
+                cardError.textContent = (response && response.error) || 'Could not change the review setting. Try again.';
+                return;
+            }
+            entry.highlight.excludeFromReview = true;
+            queue.shift();
+            showCurrent();
+        });
+    }
+
+    /**
+     * Formats a review interval briefly, e.g. "1d", "3mo" or "1.5y".
+     * @param {number} days - The interval in days.
+     * @returns {string} The formatted interval.
+     */
+    function formatInterval(days) {
+        if (days < 30) return `${days}d`;
+        if (days < 365) return `${Math.round(days / 30)}mo`;
+        return `${Math.round(days / 36.5) / 10}y`;
+    }
+});